@@ -0,0 +1,306 @@
+// Worm Colony WebGL backend: one shader, one vertex buffer, everything drawn as
+// batched triangles. The page decides what to draw; this only knows shapes.
+//   glow   radial gradient disc (centre colour -> mid colour at `stop` -> clear rim)
+//   disc   solid circle with a soft edge
+//   ring   circle outline
+//   stroke polyline with mitred joins and round caps
+// Colours are [r, g, b, a] in 0..1, straight alpha; the shader premultiplies.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.WormGL = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const KIND_GLOW = 0, KIND_DISC = 1, KIND_RING = 2, KIND_STROKE = 3;
+  const FLOATS = 15; // x y | u v | c0 rgba | c1 rgba | stop kind aa
+  const MAX_VERTS = 60000; // a full buffer is flushed mid-frame
+  const CAP_STEPS = 6;
+
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+  const VERT = `
+attribute vec2 aPos;
+attribute vec2 aUv;
+attribute vec4 aC0;
+attribute vec4 aC1;
+attribute vec3 aP;
+uniform vec2 uRes;
+varying vec2 vUv;
+varying vec4 vC0;
+varying vec4 vC1;
+varying vec3 vP;
+void main() {
+  vec2 clip = aPos / uRes * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  vUv = aUv; vC0 = aC0; vC1 = aC1; vP = aP;
+}`;
+
+  const FRAG = `
+precision mediump float;
+varying vec2 vUv;
+varying vec4 vC0;
+varying vec4 vC1;
+varying vec3 vP;
+void main() {
+  vec4 c = vC0;
+  float kind = vP.y;
+  if (kind < 0.5) {
+    float d = length(vUv);
+    if (d > 1.0) discard;
+    float s = vP.x;
+    c = d < s ? mix(vC0, vC1, d / s) : mix(vC1, vec4(vC1.rgb, 0.0), (d - s) / (1.0 - s));
+  } else if (kind < 1.5) {
+    c.a *= clamp((1.0 - length(vUv)) / vP.z, 0.0, 1.0);
+  } else if (kind < 2.5) {
+    float d = length(vUv);
+    c.a *= clamp(min(d - vP.x, 1.0 - d) / vP.z + 0.5, 0.0, 1.0);
+  } else {
+    c.a *= clamp((1.0 - abs(vUv.y)) / vP.z, 0.0, 1.0);
+  }
+  gl_FragColor = vec4(c.rgb * c.a, c.a);
+}`;
+
+  // hsla() the way CSS reads it, h in degrees, s/l in percent
+  function hsla(h, s, l, a = 1) {
+    h = (((h % 360) + 360) % 360) / 360;
+    s /= 100;
+    l /= 100;
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const ch = (t) => {
+      if (t < 0) t += 1;
+      if (t > 1) t -= 1;
+      if (t < 1 / 6) return p + (q - p) * 6 * t;
+      if (t < 1 / 2) return q;
+      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+      return p;
+    };
+    return [ch(h + 1 / 3), ch(h), ch(h - 1 / 3), a];
+  }
+
+  function compile(gl, type, src) {
+    const sh = gl.createShader(type);
+    gl.shaderSource(sh, src);
+    gl.compileShader(sh);
+    if (!gl.getShaderParameter(sh, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(sh) || "shader failed");
+    return sh;
+  }
+
+  // returns null when WebGL is missing or refuses to start
+  function createGLRenderer(canvas) {
+    if (!canvas) return null;
+    let gl = null;
+    try {
+      gl = canvas.getContext("webgl", { alpha: true, antialias: false, premultipliedAlpha: true, preserveDrawingBuffer: false });
+    } catch {
+      gl = null;
+    }
+    if (!gl) return null;
+
+    let prog, buf, uRes;
+    try {
+      prog = gl.createProgram();
+      gl.attachShader(prog, compile(gl, gl.VERTEX_SHADER, VERT));
+      gl.attachShader(prog, compile(gl, gl.FRAGMENT_SHADER, FRAG));
+      gl.linkProgram(prog);
+      if (!gl.getProgramParameter(prog, gl.LINK_STATUS)) return null;
+      gl.useProgram(prog);
+      buf = gl.createBuffer();
+      gl.bindBuffer(gl.ARRAY_BUFFER, buf);
+      gl.bufferData(gl.ARRAY_BUFFER, MAX_VERTS * FLOATS * 4, gl.DYNAMIC_DRAW);
+      const attr = (name, size, offset) => {
+        const loc = gl.getAttribLocation(prog, name);
+        gl.enableVertexAttribArray(loc);
+        gl.vertexAttribPointer(loc, size, gl.FLOAT, false, FLOATS * 4, offset * 4);
+      };
+      attr("aPos", 2, 0);
+      attr("aUv", 2, 2);
+      attr("aC0", 4, 4);
+      attr("aC1", 4, 8);
+      attr("aP", 3, 12);
+      uRes = gl.getUniformLocation(prog, "uRes");
+    } catch {
+      return null;
+    }
+
+    const data = new Float32Array(MAX_VERTS * FLOATS);
+    let count = 0; // vertices waiting in `data`
+    let mode = "normal";
+    let scale = 1, ox = 0, oy = 0; // screen px = world * scale + offset
+    let alpha = 1;
+    let draws = 0;
+
+    function applyBlend() {
+      if (mode === "add") gl.blendFunc(gl.ONE, gl.ONE);
+      else if (mode === "screen") gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_COLOR);
+      else gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    function flush() {
+      if (!count) return;
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, data.subarray(0, count * FLOATS));
+      gl.drawArrays(gl.TRIANGLES, 0, count);
+      count = 0;
+      draws++;
+    }
+
+    // one vertex; x/y already in screen pixels
+    function vert(x, y, u, v, c0, c1, stop, kind, aa) {
+      let o = count * FLOATS;
+      data[o++] = x; data[o++] = y; data[o++] = u; data[o++] = v;
+      data[o++] = c0[0]; data[o++] = c0[1]; data[o++] = c0[2]; data[o++] = c0[3] * alpha;
+      data[o++] = c1[0]; data[o++] = c1[1]; data[o++] = c1[2]; data[o++] = c1[3] * alpha;
+      data[o++] = stop; data[o++] = kind; data[o] = aa;
+      count++;
+    }
+
+    function room(n) {
+      if (count + n > MAX_VERTS) flush();
+    }
+
+    // square around a circle, uv -1..1 across it
+    function quad(x, y, r, c0, c1, stop, kind, aa) {
+      room(6);
+      const sx = x * scale + ox, sy = y * scale + oy, sr = r * scale;
+      const x0 = sx - sr, x1 = sx + sr, y0 = sy - sr, y1 = sy + sr;
+      vert(x0, y0, -1, -1, c0, c1, stop, kind, aa);
+      vert(x1, y0, 1, -1, c0, c1, stop, kind, aa);
+      vert(x1, y1, 1, 1, c0, c1, stop, kind, aa);
+      vert(x0, y0, -1, -1, c0, c1, stop, kind, aa);
+      vert(x1, y1, 1, 1, c0, c1, stop, kind, aa);
+      vert(x0, y1, -1, 1, c0, c1, stop, kind, aa);
+    }
+
+    function glow(x, y, r, c0, c1 = c0, stop = 0.55) {
+      if (r * scale < 0.5) return;
+      quad(x, y, r, c0, c1, clamp(stop, 0.01, 0.99), KIND_GLOW, 1);
+    }
+
+    function disc(x, y, r, c) {
+      const sr = r * scale + 0.5;
+      if (sr < 0.3) return;
+      quad(x, y, sr / scale, c, c, 0, KIND_DISC, 1 / sr);
+    }
+
+    function ring(x, y, r, w, c) {
+      const outer = r + w / 2 + 0.5 / scale;
+      const inner = Math.max(0, r - w / 2 - 0.5 / scale);
+      if (outer * scale < 0.5) return;
+      // the ring's inner edge rides in `stop`
+      quad(x, y, outer, c, c, inner / outer, KIND_RING, 1 / (outer * scale));
+    }
+
+    // pts are {x, y} in world units, w is the full width like ctx.lineWidth
+    function stroke(pts, w, c, closed = false) {
+      const P = [];
+      for (const p of pts) {
+        const q = { x: p.x * scale + ox, y: p.y * scale + oy };
+        const prev = P[P.length - 1];
+        if (!prev || Math.abs(prev.x - q.x) + Math.abs(prev.y - q.y) > 0.01) P.push(q);
+      }
+      if (closed && P.length > 2) {
+        const a = P[0], b = P[P.length - 1];
+        if (Math.abs(a.x - b.x) + Math.abs(a.y - b.y) <= 0.01) P.pop();
+      }
+      if (P.length < 2) return;
+
+      const hw = Math.max(0.5, (w * scale) / 2) + 0.5;
+      const aa = 1 / hw;
+      const n = P.length;
+      const segs = closed ? n : n - 1;
+
+      // unit normal of each segment
+      const nx = new Array(segs), ny = new Array(segs);
+      for (let i = 0; i < segs; i++) {
+        const a = P[i], b = P[(i + 1) % n];
+        const dx = b.x - a.x, dy = b.y - a.y;
+        const len = Math.hypot(dx, dy) || 1;
+        nx[i] = -dy / len;
+        ny[i] = dx / len;
+      }
+
+      // mitred offset at each point, capped so sharp bends do not spike
+      const mx = new Array(n), my = new Array(n);
+      for (let i = 0; i < n; i++) {
+        const s0 = closed ? (i - 1 + segs) % segs : Math.max(0, i - 1);
+        const s1 = closed ? i % segs : Math.min(segs - 1, i);
+        let ax = nx[s0] + nx[s1], ay = ny[s0] + ny[s1];
+        const al = Math.hypot(ax, ay);
+        if (al < 1e-3) { ax = nx[s1]; ay = ny[s1]; } else { ax /= al; ay /= al; }
+        const dot = Math.max(0.5, ax * nx[s1] + ay * ny[s1]);
+        mx[i] = (ax * hw) / dot;
+        my[i] = (ay * hw) / dot;
+      }
+
+      room(segs * 6 + (closed ? 0 : CAP_STEPS * 6));
+      for (let i = 0; i < segs; i++) {
+        const j = (i + 1) % n;
+        const a = P[i], b = P[j];
+        vert(a.x + mx[i], a.y + my[i], 0, 1, c, c, 0, KIND_STROKE, aa);
+        vert(a.x - mx[i], a.y - my[i], 0, -1, c, c, 0, KIND_STROKE, aa);
+        vert(b.x + mx[j], b.y + my[j], 0, 1, c, c, 0, KIND_STROKE, aa);
+        vert(a.x - mx[i], a.y - my[i], 0, -1, c, c, 0, KIND_STROKE, aa);
+        vert(b.x - mx[j], b.y - my[j], 0, -1, c, c, 0, KIND_STROKE, aa);
+        vert(b.x + mx[j], b.y + my[j], 0, 1, c, c, 0, KIND_STROKE, aa);
+      }
+      if (closed) return;
+
+      // half-disc fans so the caps do not overlap the body
+      const cap = (p, nxv, nyv, sign) => {
+        const base = Math.atan2(nyv, nxv);
+        for (let k = 0; k < CAP_STEPS; k++) {
+          const a0 = base + (sign * Math.PI * k) / CAP_STEPS;
+          const a1 = base + (sign * Math.PI * (k + 1)) / CAP_STEPS;
+          vert(p.x, p.y, 0, 0, c, c, 0, KIND_STROKE, aa);
+          vert(p.x + Math.cos(a0) * hw, p.y + Math.sin(a0) * hw, 0, 1, c, c, 0, KIND_STROKE, aa);
+          vert(p.x + Math.cos(a1) * hw, p.y + Math.sin(a1) * hw, 0, 1, c, c, 0, KIND_STROKE, aa);
+        }
+      };
+      cap(P[0], nx[0], ny[0], 1);
+      cap(P[n - 1], nx[segs - 1], ny[segs - 1], -1);
+    }
+
+    return {
+      canvas,
+      get lost() { return gl.isContextLost(); },
+      get draws() { return draws; },
+      // a transparent frame starts clear instead of black (overlays)
+      begin(pw, ph, transparent = false) {
+        if (canvas.width !== pw || canvas.height !== ph) {
+          canvas.width = pw;
+          canvas.height = ph;
+        }
+        gl.viewport(0, 0, pw, ph);
+        gl.uniform2f(uRes, pw, ph);
+        gl.clearColor(0, 0, 0, transparent ? 0 : 1);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        mode = "normal";
+        applyBlend();
+        alpha = 1;
+        draws = 0;
+      },
+      end: flush,
+      view(s, x, y) {
+        scale = s;
+        ox = x;
+        oy = y;
+      },
+      blend(m) {
+        if (m === mode) return;
+        flush();
+        mode = m;
+        applyBlend();
+      },
+      setAlpha(a) {
+        alpha = a;
+      },
+      glow,
+      disc,
+      ring,
+      stroke,
+    };
+  }
+
+  return { createGLRenderer, hsla };
+});
@@ -0,0 +1,638 @@
+// Worm Colony scene drawing: starfield, colonies and worms on Canvas 2D, or batched
+// through WormGL. The page and the render worker both draw with it, so it never touches
+// the DOM; every frame brings the view, the tokens and the flags it is drawn with.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(require("./sim.js"), require("./render-gl.js"));
+  else root.WormRender = factory(root.WormSim, root.WormGL);
+})(typeof self !== "undefined" ? self : this, function (Sim, GL) {
+  "use strict";
+
+  const { clamp, createRng } = Sim;
+  const rgba = (h, s, l, a) => GL.hsla(h, s, l, a);
+  const STAR_RGB = { cool: [180 / 255, 220 / 255, 1], warm: [1, 220 / 255, 190 / 255], white: [1, 1, 1] };
+
+  // what each quality tier costs: canvas pixel ratio cap, share of each star layer,
+  // nebula count, per-node colony auras, the wide worm glow pass, limbs, render rate
+  const QUALITY = {
+    low: { dpr: 1, stars: 0.3, nebulas: 5, nodeAuras: false, wormGlow: false, limbs: false, fps: 24 },
+    medium: { dpr: 1.5, stars: 0.6, nebulas: 9, nodeAuras: true, wormGlow: false, limbs: true, fps: 30 },
+    high: { dpr: 2, stars: 1, nebulas: 14, nodeAuras: true, wormGlow: true, limbs: true, fps: 40 },
+  };
+
+  // opts.makeCanvas() gives the canvas the WebGL pass draws into; opts.onContextLost()
+  // hears when that context goes, after which the scene stays on Canvas 2D
+  function createScene(opts = {}) {
+    // ---------- Frame ----------
+    // copied from the frame draw() is given
+    let ctx = null;
+    let W = 1, H = 1, DPR = 1;
+    let camX = 0, camY = 0, zoom = 1;
+    let isInteracting = false, reducedMotion = false, labelsOn = true, multi = false;
+    let tokens = [], active = null, tapRings = [];
+    let q = QUALITY.high;
+    let backdrop = "full"; // "full" black sky, "stars" only stars on clear, "none" clear
+
+    // ---------- Background: stars + nebulas + galaxies ----------
+    const bg = {
+      stars: [],
+      nebulas: [],
+      layers: [
+        { par: 0.10, count: 200, size: [0.6, 1.6], a: [0.12, 0.35] },
+        { par: 0.22, count: 150, size: [0.8, 2.2], a: [0.14, 0.45] },
+        { par: 0.40, count: 100, size: [1.2, 2.8], a: [0.16, 0.55] },
+      ],
+      worldSize: 5600,
+    };
+
+    function initBackground(seed) {
+      bg.stars.length = 0;
+      bg.nebulas.length = 0;
+
+      // own stream so the starfield only depends on the seed, not on sim history
+      const starRng = createRng(seed + ":stars");
+      const rand = (a, b) => a + starRng() * (b - a);
+
+      // nebulas
+      const nebCount = 14;
+      for (let i = 0; i < nebCount; i++) {
+        bg.nebulas.push({
+          x: rand(-bg.worldSize, bg.worldSize),
+          y: rand(-bg.worldSize, bg.worldSize),
+          r: rand(260, 820),
+          hue: rand(170, 330),
+          a: rand(0.08, 0.24),
+          wob: rand(0.6, 1.8),
+        });
+      }
+
+      // stars
+      for (let li = 0; li < bg.layers.length; li++) {
+        const L = bg.layers[li];
+        for (let i = 0; i < L.count; i++) {
+          bg.stars.push({
+            x: rand(-bg.worldSize, bg.worldSize),
+            y: rand(-bg.worldSize, bg.worldSize),
+            r: rand(L.size[0], L.size[1]),
+            a: rand(L.a[0], L.a[1]),
+            p: L.par,
+            tw: rand(0.6, 1.8),
+            ph: rand(0, Math.PI * 2),
+            tint: rand(0, 1),
+            k: i / L.count, // lower tiers keep the first share of each layer
+          });
+        }
+      }
+    }
+
+    function drawBackground(time) {
+      // draw in screen space (before world transform) so it never “glitches”
+      if (backdrop === "full") {
+        ctx.fillStyle = "#000";
+        ctx.fillRect(-W / 2 - 2, -H / 2 - 2, W + 4, H + 4);
+      }
+
+      const exposure = 0.92 + 0.08 * Math.sin(time * 0.0000075);
+      const nebulas = backdrop === "full" ? bg.nebulas.slice(0, q.nebulas) : [];
+
+      // nebulas
+      for (const n of nebulas) {
+        const px = (n.x + camX) * 0.18;
+        const py = (n.y + camY) * 0.18;
+
+        const wob = reducedMotion ? 0 : Math.sin(time * 0.00025 * n.wob + n.x * 0.001) * 0.10;
+        const rr = n.r * (1 + wob);
+
+        const g = ctx.createRadialGradient(px, py, 0, px, py, rr);
+        const a0 = (isInteracting ? n.a * 0.65 : n.a) * exposure;
+
+        g.addColorStop(0, `hsla(${n.hue}, 85%, 58%, ${a0})`);
+        g.addColorStop(0.45, `hsla(${(n.hue + 30) % 360}, 85%, 55%, ${a0 * 0.65})`);
+        g.addColorStop(1, `hsla(${n.hue}, 85%, 55%, 0)`);
+
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(px, py, rr, 0, Math.PI * 2);
+        ctx.fill();
+      }
+
+      // stars
+      ctx.globalCompositeOperation = "screen";
+      for (const s of bg.stars) {
+        if (s.k >= q.stars) continue;
+        const tw = reducedMotion ? 0.82 : 0.65 + 0.35 * Math.sin(time * 0.0012 * s.tw + s.ph);
+        const a = s.a * tw * (isInteracting ? 0.85 : 1.0) * exposure;
+
+        const sx = (s.x + camX) * s.p;
+        const sy = (s.y + camY) * s.p;
+
+        const cool = s.tint < 0.33;
+        const warm = s.tint > 0.72;
+        const col = cool ? `rgba(180,220,255,${a})`
+          : warm ? `rgba(255,220,190,${a})`
+          : `rgba(255,255,255,${a})`;
+
+        ctx.fillStyle = col;
+        ctx.beginPath();
+        ctx.arc(sx, sy, s.r, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.globalCompositeOperation = "source-over";
+    }
+
+    // ---------- Rendering ----------
+    // sim positions drawn between the last two fixed steps (px/py are the previous step)
+    let interp = 1;
+    const ix = (p) => (p.px === undefined ? p.x : p.px + (p.x - p.px) * interp);
+    const iy = (p) => (p.py === undefined ? p.y : p.py + (p.y - p.py) * interp);
+    const interpPts = (segs) => segs.map((s) => ({ x: ix(s), y: iy(s), a: s.a }));
+
+    function aura(x, y, r, hue, a) {
+      const g = ctx.createRadialGradient(x, y, 0, x, y, r);
+      g.addColorStop(0, `hsla(${hue},95%,65%,${a})`);
+      g.addColorStop(0.55, `hsla(${(hue + 30) % 360},95%,62%,${a * 0.55})`);
+      g.addColorStop(1, `hsla(${hue},95%,65%,0)`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    function bossPulse(time) {
+      return {
+        pulse: reducedMotion ? 0.92 : 0.85 + 0.15 * Math.sin(time * 0.004),
+        outer: reducedMotion ? 0.96 : 0.92 + 0.08 * Math.sin(time * 0.002 + 2.0),
+      };
+    }
+
+    function bossAura(x, y, baseR, hue, time) {
+      const { pulse, outer } = bossPulse(time);
+      const r1 = baseR * 1.45 * pulse;
+      const r2 = baseR * 2.10 * outer;
+
+      let g = ctx.createRadialGradient(x, y, 0, x, y, r2);
+      g.addColorStop(0, `hsla(${hue}, 98%, 70%, 0.18)`);
+      g.addColorStop(0.35, `hsla(${(hue + 40) % 360}, 98%, 65%, 0.12)`);
+      g.addColorStop(1, `hsla(${hue}, 98%, 60%, 0)`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(x, y, r2, 0, Math.PI * 2);
+      ctx.fill();
+
+      g = ctx.createRadialGradient(x, y, 0, x, y, r1);
+      g.addColorStop(0, `hsla(${hue}, 98%, 70%, 0.24)`);
+      g.addColorStop(0.55, `hsla(${hue}, 98%, 65%, 0.10)`);
+      g.addColorStop(1, `hsla(${hue}, 98%, 60%, 0)`);
+      ctx.fillStyle = g;
+      ctx.beginPath();
+      ctx.arc(x, y, r1, 0, Math.PI * 2);
+      ctx.fill();
+
+      ctx.strokeStyle = `hsla(${hue}, 98%, 72%, 0.50)`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(x, y, baseR * 1.25 * pulse, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+
+    // the soft glows a colony is built from, as [x, y, r, hue, alpha] for aura()
+    function colonyGlows(col, time) {
+      const baseHue = col.dna.hue;
+      const cx = ix(col), cy = iy(col);
+      if (isInteracting) return [[cx, cy, 145 * col.dna.aura, baseHue, 0.08]];
+
+      const sway = reducedMotion ? 3 : 12;
+      const out = [];
+      for (let i = 0; q.nodeAuras && i < col.nodes.length; i++) {
+        const n = col.nodes[i];
+        const x = cx + n.ox + Math.sin(time * 0.001 * n.sp + n.ph) * sway;
+        const y = cy + n.oy + Math.cos(time * 0.001 * n.sp + n.ph) * sway;
+
+        out.push([x, y, n.r * 1.25, (baseHue + i * 16) % 360, 0.14]);
+        out.push([x, y, n.r * 0.85, (baseHue + i * 21 + 40) % 360, 0.10]);
+      }
+      out.push([cx, cy, 160 * col.dna.aura, baseHue, 0.10]);
+      out.push([cx, cy, 110 * col.dna.aura, (baseHue + 40) % 360, 0.08]);
+      return out;
+    }
+
+    // wobbly membrane around the colony centre
+    function blobOutline(col, time) {
+      const cx = ix(col), cy = iy(col);
+      const sway = reducedMotion ? 3 : 12;
+      const R = 135;
+      const pts = [];
+      for (let a = 0; a <= Math.PI * 2 + 0.001; a += Math.PI / 20) {
+        const wob = (
+          Math.sin(a * 3 + time * 0.0016) * 10 +
+          Math.sin(a * 7 - time * 0.0010) * 6
+        ) * (sway / 12);
+        const rr = R + wob * col.dna.chaos;
+        pts.push({ x: cx + Math.cos(a) * rr, y: cy + Math.sin(a) * rr });
+      }
+      return pts;
+    }
+
+    function irregularBlob(col, time) {
+      for (const g of colonyGlows(col, time)) aura(...g);
+
+      const pts = blobOutline(col, time);
+      ctx.strokeStyle = `hsla(${col.dna.hue}, 90%, 65%, .28)`;
+      ctx.lineWidth = 1.6;
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.stroke();
+    }
+
+    // a limb is a quadratic curve from its body point: base -> control -> tip
+    function limbCurve(w, L, pts, time) {
+      const at = clamp(L.at, 0, pts.length - 1);
+      const base = pts[at];
+
+      const baseAng =
+        (pts[at]?.a || 0) +
+        L.ang +
+        Math.sin(time * 0.002 * L.wob + w.phase) * (w.isBoss ? 0.55 : 0.35);
+
+      return {
+        base,
+        cx: base.x + Math.cos(baseAng) * (L.len * 0.55),
+        cy: base.y + Math.sin(baseAng) * (L.len * 0.55),
+        lx: base.x + Math.cos(baseAng) * L.len * (w.isBoss ? 1.15 : 1),
+        ly: base.y + Math.sin(baseAng) * L.len * (w.isBoss ? 1.15 : 1),
+      };
+    }
+
+    function drawWorm(w, time) {
+      if (!w.segs || w.segs.length < 2) return;
+      const pts = interpPts(w.segs);
+      const head = pts[0];
+
+      if (w.isBoss && !isInteracting) {
+        ctx.save();
+        ctx.globalCompositeOperation = "lighter";
+        bossAura(head.x, head.y, 120 * (1 + (w.tier || 0) * 0.25), w.hue, time);
+        ctx.restore();
+      }
+
+      if (!isInteracting && q.wormGlow) {
+        ctx.globalCompositeOperation = "lighter";
+        ctx.strokeStyle = `hsla(${w.hue}, 92%, 62%, ${w.isBoss ? 0.36 : 0.14})`;
+        ctx.lineWidth = w.width + (w.isBoss ? 14 : 6);
+        ctx.lineCap = "round";
+        ctx.lineJoin = "round";
+        ctx.beginPath();
+        ctx.moveTo(pts[0].x, pts[0].y);
+        for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+        ctx.stroke();
+      }
+
+      ctx.globalCompositeOperation = "source-over";
+      ctx.strokeStyle = `hsla(${w.hue}, 95%, 65%, ${w.isBoss ? 0.99 : 0.9})`;
+      ctx.lineWidth = w.width + (w.isBoss ? 1.2 : 0);
+      ctx.lineCap = "round";
+      ctx.lineJoin = "round";
+      ctx.beginPath();
+      ctx.moveTo(pts[0].x, pts[0].y);
+      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
+      ctx.stroke();
+
+      if (!isInteracting) {
+        const step = w.isBoss ? 2 : 4;
+        for (let i = 0; i < pts.length; i += step) {
+          const p = pts[i];
+          const rr = Math.max(2.0, w.width * (w.isBoss ? 0.52 : 0.34));
+          ctx.fillStyle = `hsla(${(w.hue + 20) % 360}, 95%, 66%, ${w.isBoss ? 0.92 : 0.78})`;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, rr, 0, Math.PI * 2);
+          ctx.fill();
+        }
+      }
+
+      if (w.limbs?.length && q.limbs) {
+        ctx.globalCompositeOperation = isInteracting ? "source-over" : "lighter";
+        for (const L of w.limbs) {
+          const { base, cx, cy, lx, ly } = limbCurve(w, L, pts, time);
+          ctx.strokeStyle = `hsla(${(w.hue + 40) % 360}, 95%, 66%, ${isInteracting ? 0.30 : (w.isBoss ? 0.78 : 0.55)})`;
+          ctx.lineWidth = Math.max(2, w.width * (w.isBoss ? 0.55 : 0.35));
+          ctx.beginPath();
+          ctx.moveTo(base.x, base.y);
+          ctx.quadraticCurveTo(cx, cy, lx, ly);
+          ctx.stroke();
+        }
+        ctx.globalCompositeOperation = "source-over";
+      }
+
+      if (!isInteracting && w.isBoss) {
+        ctx.globalCompositeOperation = "lighter";
+        ctx.fillStyle = `hsla(${(w.hue + 160) % 360}, 100%, 70%, 0.95)`;
+        ctx.beginPath();
+        ctx.arc(head.x + Math.cos(head.a) * 6, head.y + Math.sin(head.a) * 6, w.width * 0.55, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = `hsla(${(w.hue + 160) % 360}, 100%, 70%, 0.22)`;
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, w.width * 2.8, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalCompositeOperation = "source-over";
+      }
+    }
+
+    function drawTapRings() {
+      if (!tapRings.length) return;
+      ctx.strokeStyle = "rgba(255,255,255,.35)";
+      for (const r of tapRings) {
+        ctx.globalAlpha = r.a;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(r.x, r.y, r.r, 0, Math.PI * 2);
+        ctx.stroke();
+        r.r += 10;
+        r.a *= 0.78;
+      }
+      ctx.globalAlpha = 1;
+      for (let i = tapRings.length - 1; i >= 0; i--) {
+        if (tapRings[i].a < 0.05) tapRings.splice(i, 1);
+      }
+    }
+
+    function drawLabels() {
+      if (!labelsOn) return;
+      const alpha = clamp((zoom - 0.7) / 0.5, 0, 1);
+      if (alpha <= 0.01) return;
+
+      ctx.save();
+      ctx.globalAlpha = 0.78 * alpha;
+      ctx.font = "900 12px ui-sans-serif, system-ui, -apple-system, Inter";
+      ctx.fillStyle = "rgba(235,245,255,.86)";
+      ctx.strokeStyle = "rgba(0,0,0,.55)";
+      ctx.lineWidth = 4;
+
+      for (const t of tokens) {
+        const cols = t.sim.state.colonies;
+        const tag = multi ? `${t.label} ` : "";
+        for (let i = 0; i < cols.length; i++) {
+          const c = cols[i];
+          const label = `${tag}#${i + 1} • ${c.id}`;
+          const x = ix(c) + 18;
+          const y = iy(c) - 18;
+          ctx.strokeText(label, x, y);
+          ctx.fillText(label, x, y);
+        }
+      }
+      ctx.restore();
+    }
+
+    // region names stay readable however far out the view is
+    function drawTokenLabels() {
+      if (!multi || !labelsOn) return;
+      ctx.save();
+      ctx.font = `950 ${Math.round(22 / zoom)}px ui-sans-serif, system-ui, -apple-system, Inter`;
+      ctx.textAlign = "center";
+      ctx.strokeStyle = "rgba(0,0,0,.6)";
+      ctx.lineWidth = 5 / zoom;
+      for (const t of tokens) {
+        const home = t.sim.state.colonies[0];
+        if (!home) continue;
+        const x = ix(home), y = iy(home) - 240;
+        ctx.globalAlpha = t === active ? 0.95 : 0.6;
+        ctx.fillStyle = `hsl(${t.hue}, 95%, 68%)`;
+        ctx.strokeText(t.label, x, y);
+        ctx.fillText(t.label, x, y);
+      }
+      ctx.restore();
+    }
+
+    function drawTokenWorld(t, time, vx0, vy0, vx1, vy1) {
+      const cols = t.sim.state.colonies;
+      const selected = t === active ? t.sim.state.selected : -1;
+      const visCol = new Set(t.sim.grid.colonies.query(vx0, vy0, vx1, vy1));
+      const visWorm = new Set(t.sim.grid.bodies.query(vx0, vy0, vx1, vy1));
+
+      for (let i = 0; i < cols.length; i++) {
+        const c = cols[i];
+        if (!visCol.has(c)) continue;
+        const cx = ix(c), cy = iy(c);
+        ctx.globalAlpha = 0.25 + 0.75 * (c.health ?? 1);
+        irregularBlob(c, time);
+
+        if (i === selected) {
+          ctx.strokeStyle = `hsla(${c.dna.hue}, 95%, 65%, .55)`;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          ctx.arc(cx, cy, 98 * c.dna.aura, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+
+        // reduced motion keeps shockwaves as a faint thin ring
+        for (const s of c.shock) {
+          if (s.delay > 0) continue;
+          ctx.strokeStyle = `hsla(${c.dna.hue}, 92%, 62%, ${reducedMotion ? s.a * 0.3 : s.a})`;
+          ctx.lineWidth = reducedMotion ? 1 : s.w;
+          ctx.beginPath();
+          ctx.arc(cx, cy, s.r, 0, Math.PI * 2);
+          ctx.stroke();
+        }
+      }
+      ctx.globalAlpha = 1;
+
+      for (const c of cols) {
+        const fade = 0.35 + 0.65 * (c.health ?? 1);
+        for (const w of c.worms) {
+          if (!visWorm.has(w)) continue;
+          // withering colonies and starving worms fade instead of popping out
+          ctx.globalAlpha = fade * clamp(w.dying ?? 1, 0, 1);
+          drawWorm(w, time);
+        }
+      }
+      ctx.globalAlpha = 1;
+    }
+
+    // ---------- WebGL ----------
+    // Same scene as the Canvas 2D path, drawn as a few batched passes into a separate
+    // GL canvas that draw() copies onto the target; labels and tap rings stay 2D.
+    let glr = null;
+    let glFailed = !GL || !opts.makeCanvas;
+
+    function getGL() {
+      if (glr || glFailed) return glr;
+      const el = opts.makeCanvas();
+      glr = el ? GL.createGLRenderer(el) : null;
+      if (!glr) {
+        glFailed = true;
+        return null;
+      }
+      el.addEventListener("webglcontextlost", (e) => {
+        e.preventDefault();
+        glr = null;
+        glFailed = true;
+        opts.onContextLost?.();
+      });
+      return glr;
+    }
+
+    function drawSceneGL(gl, time, vx0, vy0, vx1, vy1) {
+      gl.begin(Math.floor(W * DPR), Math.floor(H * DPR), backdrop !== "full");
+      gl.view(DPR, (W / 2) * DPR, (H / 2) * DPR);
+      if (backdrop !== "none") drawBackgroundGL(gl, time);
+      gl.view(zoom * DPR, (W / 2 + camX * zoom) * DPR, (H / 2 + camY * zoom) * DPR);
+      for (const t of tokens) drawTokenWorldGL(gl, t, time, vx0, vy0, vx1, vy1);
+      gl.end();
+    }
+
+    function drawBackgroundGL(gl, time) {
+      const exposure = 0.92 + 0.08 * Math.sin(time * 0.0000075);
+      const nebulas = backdrop === "full" ? bg.nebulas.slice(0, q.nebulas) : [];
+
+      for (const n of nebulas) {
+        const wob = reducedMotion ? 0 : Math.sin(time * 0.00025 * n.wob + n.x * 0.001) * 0.10;
+        const a0 = (isInteracting ? n.a * 0.65 : n.a) * exposure;
+        gl.glow((n.x + camX) * 0.18, (n.y + camY) * 0.18, n.r * (1 + wob),
+          rgba(n.hue, 85, 58, a0), rgba(n.hue + 30, 85, 55, a0 * 0.65), 0.45);
+      }
+
+      gl.blend("screen");
+      for (const s of bg.stars) {
+        if (s.k >= q.stars) continue;
+        const tw = reducedMotion ? 0.82 : 0.65 + 0.35 * Math.sin(time * 0.0012 * s.tw + s.ph);
+        const a = s.a * tw * (isInteracting ? 0.85 : 1.0) * exposure;
+        const rgb = s.tint < 0.33 ? STAR_RGB.cool : s.tint > 0.72 ? STAR_RGB.warm : STAR_RGB.white;
+        gl.disc((s.x + camX) * s.p, (s.y + camY) * s.p, s.r, [rgb[0], rgb[1], rgb[2], a]);
+      }
+      gl.blend("normal");
+    }
+
+    // colonies first, then every worm's glow, bodies and limbs as one pass each,
+    // so a token costs a handful of draw calls rather than a few per worm
+    function drawTokenWorldGL(gl, t, time, vx0, vy0, vx1, vy1) {
+      const cols = t.sim.state.colonies;
+      const selected = t === active ? t.sim.state.selected : -1;
+      const visCol = new Set(t.sim.grid.colonies.query(vx0, vy0, vx1, vy1));
+      const visWorm = new Set(t.sim.grid.bodies.query(vx0, vy0, vx1, vy1));
+
+      for (let i = 0; i < cols.length; i++) {
+        const c = cols[i];
+        if (!visCol.has(c)) continue;
+        const cx = ix(c), cy = iy(c);
+        gl.setAlpha(0.25 + 0.75 * (c.health ?? 1));
+        for (const [x, y, r, hue, a] of colonyGlows(c, time)) {
+          gl.glow(x, y, r, rgba(hue, 95, 65, a), rgba(hue + 30, 95, 62, a * 0.55), 0.55);
+        }
+        gl.stroke(blobOutline(c, time), 1.6, rgba(c.dna.hue, 90, 65, 0.28), true);
+        if (i === selected) gl.ring(cx, cy, 98 * c.dna.aura, 2, rgba(c.dna.hue, 95, 65, 0.55));
+        for (const s of c.shock) {
+          if (s.delay > 0) continue;
+          gl.ring(cx, cy, s.r, reducedMotion ? 1 : s.w, rgba(c.dna.hue, 92, 62, reducedMotion ? s.a * 0.3 : s.a));
+        }
+      }
+
+      const worms = [];
+      for (const c of cols) {
+        const fade = 0.35 + 0.65 * (c.health ?? 1);
+        for (const w of c.worms) {
+          if (!visWorm.has(w) || !w.segs || w.segs.length < 2) continue;
+          worms.push({ w, pts: interpPts(w.segs), a: fade * clamp(w.dying ?? 1, 0, 1) });
+        }
+      }
+
+      if (!isInteracting) {
+        gl.blend("add");
+        const { pulse, outer } = bossPulse(time);
+        for (const { w, pts, a } of worms) {
+          gl.setAlpha(a);
+          if (w.isBoss) {
+            const head = pts[0], hue = w.hue, baseR = 120 * (1 + (w.tier || 0) * 0.25);
+            gl.glow(head.x, head.y, baseR * 2.10 * outer, rgba(hue, 98, 70, 0.18), rgba(hue + 40, 98, 65, 0.12), 0.35);
+            gl.glow(head.x, head.y, baseR * 1.45 * pulse, rgba(hue, 98, 70, 0.24), rgba(hue, 98, 65, 0.10), 0.55);
+            gl.ring(head.x, head.y, baseR * 1.25 * pulse, 2, rgba(hue, 98, 72, 0.50));
+          }
+          if (q.wormGlow) gl.stroke(pts, w.width + (w.isBoss ? 14 : 6), rgba(w.hue, 92, 62, w.isBoss ? 0.36 : 0.14));
+        }
+      }
+
+      gl.blend("normal");
+      for (const { w, pts, a } of worms) {
+        gl.setAlpha(a);
+        gl.stroke(pts, w.width + (w.isBoss ? 1.2 : 0), rgba(w.hue, 95, 65, w.isBoss ? 0.99 : 0.9));
+        if (isInteracting) continue;
+        const bead = rgba(w.hue + 20, 95, 66, w.isBoss ? 0.92 : 0.78);
+        const rr = Math.max(2.0, w.width * (w.isBoss ? 0.52 : 0.34));
+        for (let i = 0; i < pts.length; i += w.isBoss ? 2 : 4) gl.disc(pts[i].x, pts[i].y, rr, bead);
+      }
+
+      if (!isInteracting) gl.blend("add");
+      for (const { w, pts, a } of worms) {
+        gl.setAlpha(a);
+        if (w.limbs?.length && q.limbs) {
+          const col = rgba(w.hue + 40, 95, 66, isInteracting ? 0.30 : (w.isBoss ? 0.78 : 0.55));
+          const lw = Math.max(2, w.width * (w.isBoss ? 0.55 : 0.35));
+          for (const L of w.limbs) {
+            const { base, cx, cy, lx, ly } = limbCurve(w, L, pts, time);
+            const curve = [];
+            for (let k = 0; k <= 6; k++) {
+              const u = k / 6, v = 1 - u;
+              curve.push({ x: v * v * base.x + 2 * v * u * cx + u * u * lx, y: v * v * base.y + 2 * v * u * cy + u * u * ly });
+            }
+            gl.stroke(curve, lw, col);
+          }
+        }
+        if (!isInteracting && w.isBoss) {
+          const head = pts[0];
+          gl.disc(head.x + Math.cos(head.a) * 6, head.y + Math.sin(head.a) * 6, w.width * 0.55, rgba(w.hue + 160, 100, 70, 0.95));
+          gl.disc(head.x, head.y, w.width * 2.8, rgba(w.hue + 160, 100, 70, 0.22));
+        }
+      }
+      gl.blend("normal");
+      gl.setAlpha(1);
+    }
+
+    // ---------- Frame drawing ----------
+    // frame: { time, interp, W, H, DPR, camX, camY, zoom, isInteracting, reducedMotion,
+    // labelsOn, multi, tokens, active, tapRings, webgl, quality, backdrop }; returns the backend it used
+    function draw(target, frame) {
+      ({ W, H, DPR, camX, camY, zoom, isInteracting, reducedMotion, labelsOn, multi, tokens, active, tapRings } = frame);
+      q = QUALITY[frame.quality] || QUALITY.high;
+      backdrop = frame.backdrop || "full";
+      ctx = target;
+      interp = frame.interp ?? 1;
+      const time = frame.time;
+      const gl = frame.webgl ? getGL() : null;
+
+      // only what overlaps the view (plus a margin for interpolation) gets drawn
+      const m = 60 / zoom;
+      const vx0 = -camX - W / 2 / zoom - m, vy0 = -camY - H / 2 / zoom - m;
+      const vx1 = -camX + W / 2 / zoom + m, vy1 = -camY + H / 2 / zoom + m;
+
+      ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+      ctx.clearRect(0, 0, W, H);
+
+      if (gl) {
+        drawSceneGL(gl, time, vx0, vy0, vx1, vy1);
+        ctx.drawImage(gl.canvas, 0, 0, W, H);
+      }
+
+      ctx.save();
+      ctx.translate(W / 2, H / 2);
+
+      // background screen-space first
+      if (!gl && backdrop !== "none") drawBackground(time);
+
+      // world
+      ctx.scale(zoom, zoom);
+      ctx.translate(camX, camY);
+
+      if (!gl) for (const t of tokens) drawTokenWorld(t, time, vx0, vy0, vx1, vy1);
+
+      drawTapRings();
+      drawTokenLabels();
+      drawLabels();
+
+      ctx.restore();
+      return gl ? "webgl" : "canvas";
+    }
+
+    return { initBackground, draw, getGL };
+  }
+
+  return { createScene, QUALITY };
+});
@@ -1,30 +1,122 @@
 (() => {
   "use strict";
 
+  const Sim = window.WormSim;
+  if (!Sim) return;
+
   // ---------- Helpers ----------
+  const { clamp, lerp, fmt } = Sim;
   const $ = (id) => document.getElementById(id);
-  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-  const lerp = (a, b, t) => a + (b - a) * t;
-  const rand = (a, b) => a + Math.random() * (b - a);
-  const randi = (a, b) => Math.floor(rand(a, b + 1));
-  const fmt = (n) => "$" + Math.max(0, Math.round(n)).toLocaleString();
-  const dist2 = (ax, ay, bx, by) => {
-    const dx = ax - bx, dy = ay - by;
-    return dx * dx + dy * dy;
-  };
 
-  function lerpAngle(a, b, t) {
-    let d = (b - a) % (Math.PI * 2);
-    if (d > Math.PI) d -= Math.PI * 2;
-    if (d < -Math.PI) d += Math.PI * 2;
-    return a + d * t;
+  // ---------- Config sources ----------
+  // defaults < settings panel (stored) < ?config= JSON file < individual URL params.
+  // A config file may also carry per-token overrides under tokens: { TICKER: {...} }.
+  const CONFIG_KEY = "wormColony:config";
+  const params = new URLSearchParams(location.search);
+
+  // later parts win, field by field; only known keys are copied
+  function mergeConfig(...parts) {
+    const out = {};
+    for (const p of parts) {
+      for (const f of Sim.CONFIG_FIELDS) {
+        const v = Sim.getPath(p, f.key);
+        if (v !== undefined) Sim.setPath(out, f.key, v);
+      }
+    }
+    return out;
+  }
+
+  // ?mcStep=100000&actions.whaleBuy.mcap=40000,90000
+  function configFromParams() {
+    const out = {};
+    for (const f of Sim.CONFIG_FIELDS) {
+      const v = params.get(f.key);
+      if (v === null) continue;
+      Sim.setPath(out, f.key, f.range ? v.split(",").map((x) => x.trim()) : v.trim());
+    }
+    return out;
+  }
+
+  // the primary token keeps the original key so older panel edits still apply
+  const configKey = (t) => (t === primary ? CONFIG_KEY : `${CONFIG_KEY}:${t.ticker}`);
+
+  function loadStoredConfig(t) {
+    try {
+      const raw = localStorage.getItem(configKey(t));
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  const urlConfig = configFromParams();
+  let fileConfig = null;
+
+  // what Reset returns to: file + URL, no panel edits
+  const baseConfigFor = (t) => mergeConfig(fileConfig, fileConfig?.tokens?.[t.ticker], urlConfig);
+
+  // ---------- Tokens ----------
+  // ?tokens=WORM,PEPE:285,BONK:35:Bonk Inu — TICKER[:hue[:label]]. Each token runs its own
+  // sim in its own region of the world. The first is the primary: ?seed=, the top level
+  // of a save and feed trades that name no token all belong to it.
+  const REGION_R = 3600;
+  const MAX_TOKENS = 6;
+  const TOKEN_HUES = [150, 285, 35, 200, 330, 95];
+
+  function parseTokens() {
+    const out = [];
+    for (const part of (params.get("tokens") || "").split(",")) {
+      const [rawTicker, rawHue, ...rest] = part.split(":");
+      const ticker = rawTicker.trim().replace(/^\$/, "").toUpperCase().replace(/[^A-Z0-9]/g, "").slice(0, 10);
+      if (!ticker || out.some((t) => t.ticker === ticker) || out.length >= MAX_TOKENS) continue;
+      const hue = Number(rawHue);
+      out.push({
+        ticker,
+        hue: rawHue && Number.isFinite(hue) ? hue : TOKEN_HUES[out.length],
+        label: rest.join(":").trim().slice(0, 24) || `$${ticker}`,
+      });
+    }
+    return out.length ? out : [{ ticker: "WORM", hue: 150, label: "$WORM" }];
+  }
+
+  // the primary sits at the origin, the rest on a ring around it
+  function regionOf(i, n) {
+    if (i === 0) return { x: 0, y: 0 };
+    const a = ((i - 1) / Math.max(1, n - 1)) * Math.PI * 2;
+    return { x: Math.cos(a) * REGION_R, y: Math.sin(a) * REGION_R };
+  }
+
+  const tokens = parseTokens().map((t, i, all) => ({ ...t, origin: regionOf(i, all.length), sim: null }));
+  const primary = tokens[0];
+  const multi = tokens.length > 1;
+  const tokenSeed = (t, seed) => (t === primary ? seed : `${seed}:${t.ticker}`);
+  const allColonies = () => tokens.flatMap((t) => t.sim.state.colonies);
+
+  // ---------- Simulation ----------
+  const urlSeed = params.get("seed");
+  const startSeed = (urlSeed || "").trim() || Sim.randomSeed();
+  for (const t of tokens) {
+    t.sim = Sim.createSim({
+      seed: tokenSeed(t, startSeed),
+      origin: t.origin,
+      hue: t.hue,
+      config: mergeConfig(loadStoredConfig(t), baseConfigFor(t)),
+    });
   }
 
+  // the token the stats, buttons, inspector, lineage and settings work on
+  let active = primary;
+  let sim = primary.sim;
+  let colonies = sim.state.colonies;
+
   // ---------- DOM ----------
   const canvas = $("simCanvas");
   const miniMap = $("miniMap");
   const toast = $("toast");
   const simStatus = $("simStatus");
+  const elSeed = $("seed");
+  const seedLink = $("seedLink");
+  const brandSub = $("brandSub");
 
   const elBuyers = $("buyers");
   const elVolume = $("volume");
@@ -37,8 +129,9 @@
 
   if (!canvas) return;
 
-  const ctx = canvas.getContext("2d", { alpha: true, desynchronized: true });
-  if (!ctx) return;
+  // taken at boot, once it is clear the canvas is not going to the render worker
+  let ctx = null; // swapped while a poster renders
+  let screenCtx = null;
 
   const mctx = miniMap ? miniMap.getContext("2d", { alpha: true }) : null;
 
@@ -49,7 +142,7 @@
     const rect = canvas.getBoundingClientRect();
     if (!rect || rect.width <= 0 || rect.height <= 0) return;
 
-    DPR = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
+    DPR = Math.max(1, Math.min(QUALITY[qualityTier].dpr, window.devicePixelRatio || 1));
     W = Math.max(1, rect.width);
     H = Math.max(1, rect.height);
 
@@ -57,10 +150,12 @@
     const ph = Math.floor(H * DPR);
     if (!Number.isFinite(pw) || !Number.isFinite(ph) || pw <= 0 || ph <= 0) return;
 
-    if (canvas.width !== pw || canvas.height !== ph) {
+    // a canvas handed to the worker can only be resized from there
+    if (renderWorker) renderWorker.post({ type: "resize", W, H, DPR });
+    else if (canvas.width !== pw || canvas.height !== ph) {
       canvas.width = pw;
       canvas.height = ph;
-      ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+      ctx?.setTransform(DPR, 0, 0, DPR, 0, 0);
     }
   }
 
@@ -69,25 +164,293 @@
   window.addEventListener("resize", resizeCanvas, { passive: true });
   window.addEventListener("orientationchange", () => setTimeout(resizeCanvas, 140), { passive: true });
 
+  // ---------- Render worker ----------
+  // Where OffscreenCanvas works, the sims step and the scene draws in worker.js, so DOM
+  // work here (event list, stats, inspector) can't stall the colony. Each sim is then a
+  // local mirror: every tick patches its economy, colonies and the worm heads we watch,
+  // and the worms themselves are only copied over by syncMirrors() for the inspector,
+  // taps, saves and posters. Anything that changes a sim is forwarded. ?worker=0 keeps
+  // the whole loop on this thread, as do browsers without OffscreenCanvas.
+  const WORKER_TIMEOUT = 4000; // ms for worker.js to load before we draw here instead
+  const workerWanted = params.get("worker") !== "0" && typeof Worker === "function" &&
+    typeof OffscreenCanvas === "function" && typeof canvas.transferControlToOffscreen === "function";
+  let renderWorker = null; // { post, gl } once the worker owns the canvas
+  let workerSeq = 0; // numbers the commands, so snapshots older than a reset or load are dropped
+  let syncWaiters = null; // callbacks for the full snapshot asked for, while one is on its way
+
+  // stands in for a sim: runs the local one until attach(), then only mirrors the worker's
+  function remoteSim(index, local) {
+    const handlers = { event: [], cue: [] };
+    const emit = (type, payload) => handlers[type].forEach((fn) => fn(payload));
+    let remote = false;
+    let loadSeq = 0, selectSeq = 0;
+    let wormTotal = 0;
+    const call = (method, ...args) => {
+      renderWorker.post({ type: "call", token: index, seq: ++workerSeq, method, args });
+      return workerSeq;
+    };
+    local.on("event", (e) => { if (!remote) emit("event", e); });
+    local.on("cue", (c) => { if (!remote) emit("cue", c); });
+
+    const sim = {
+      get state() { return local.state; },
+      get grid() { return local.grid; },
+      get config() { return local.config; },
+      get seed() { return local.seed; },
+      on(type, fn) { handlers[type]?.push(fn); },
+      step: (dt) => (remote ? 1 : local.step(dt)),
+      serialize: local.serialize,
+      growthScore: local.growthScore,
+      wormCount: () => (remote ? wormTotal : local.wormCount()),
+      findWorm: local.findWorm,
+      wormAt: local.wormAt,
+      colonyAt: local.colonyAt,
+      bosses: local.bosses,
+      applyTrade(trade) {
+        if (!remote) return local.applyTrade(trade);
+        if (!Sim.normalizeTrade(trade)) return false;
+        call("applyTrade", trade);
+        return true;
+      },
+      actions: Object.fromEntries(Object.keys(local.actions).map((name) => [name, () => {
+        if (remote) call("action", name);
+        else local.actions[name]();
+      }])),
+      setConfig(raw) {
+        const errors = local.setConfig(raw);
+        if (remote) call("setConfig", raw);
+        return errors;
+      },
+      select(idx) {
+        local.select(idx);
+        if (remote) selectSeq = call("select", idx);
+      },
+      reset(seed) {
+        local.reset(seed);
+        if (remote) loadSeq = call("reset", local.seed);
+      },
+      load(data) {
+        if (!local.load(data)) return false;
+        if (remote) loadSeq = call("load", mirrorState());
+        return true;
+      },
+    };
+
+    function mirrorState() {
+      return { ...local.serialize(), selected: local.state.selected };
+    }
+
+    return {
+      sim,
+      attach() {
+        remote = true;
+        return { label: tokens[index].label, hue: tokens[index].hue, origin: tokens[index].origin, config: local.config, state: mirrorState() };
+      },
+      // seq is the last command the worker had run when it took the snapshot
+      snapshot(snap, seq) {
+        if (seq < loadSeq) return;
+        const selected = local.state.selected;
+        local.load(snap);
+        if (seq < selectSeq) local.select(selected);
+      },
+      // patches the mirror from the worker's light view; true when only a full
+      // snapshot will do (colonies came or went, a watched worm isn't here)
+      view(v, seq) {
+        if (seq < loadSeq) return false;
+        const st = local.state;
+        st.buyers = v.economy.buyers;
+        st.volume = v.economy.volume;
+        st.mcap = v.economy.mcap;
+        st.time = v.time;
+        st.nextSplitAt = v.nextSplitAt;
+        wormTotal = v.worms;
+        if (v.lineage) st.lineage = v.lineage;
+
+        const cols = st.colonies;
+        if (cols.length !== v.colonies.length || v.colonies.some((c, i) => c.id !== cols[i].id)) return true;
+        v.colonies.forEach((c, i) => Object.assign(cols[i], c, { boss: c.boss && { ...cols[i].boss, ...c.boss } }));
+        if (seq >= selectSeq) local.select(v.selected);
+
+        let stale = false;
+        for (const [id, x, y] of v.heads) {
+          const head = local.findWorm(id)?.w.segs[0];
+          if (!head) stale = true;
+          else {
+            head.x = x;
+            head.y = y;
+          }
+        }
+        return stale;
+      },
+      emit,
+    };
+  }
+
+  const simLinks = tokens.map((t, i) => remoteSim(i, t.sim));
+  tokens.forEach((t, i) => { t.sim = simLinks[i].sim; });
+  sim = primary.sim;
+
+  function useLocalCanvas() {
+    ctx = canvas.getContext("2d", { alpha: true, desynchronized: true });
+    screenCtx = ctx;
+  }
+
+  // calls ready() once the canvas belongs to the worker, or to this thread when it can't;
+  // the canvas is only handed over after worker.js has loaded, so a failed load can still fall back
+  function startRenderWorker(ready) {
+    let worker = null;
+    try {
+      if (workerWanted) worker = new Worker("worker.js");
+    } catch {
+      worker = null;
+    }
+    if (!worker) {
+      useLocalCanvas();
+      ready();
+      return;
+    }
+
+    const fallback = () => {
+      if (renderWorker) return;
+      clearTimeout(timer);
+      worker.terminate();
+      useLocalCanvas();
+      ready();
+    };
+    const timer = setTimeout(fallback, WORKER_TIMEOUT);
+
+    worker.onerror = (e) => {
+      e.preventDefault();
+      if (!renderWorker) fallback();
+      else setToast("Render worker stopped — reload to restart", 2400);
+    };
+    worker.onmessage = (e) => {
+      const msg = e.data;
+      if (msg.type !== "hello") {
+        onWorkerMessage(msg);
+        return;
+      }
+      clearTimeout(timer);
+      const offscreen = canvas.transferControlToOffscreen();
+      renderWorker = { post: (m, transfer) => worker.postMessage(m, transfer || []), gl: msg.gl };
+      const sims = simLinks.map((l) => l.attach());
+      worker.postMessage({ type: "init", canvas: offscreen, sims, W, H, DPR }, [offscreen]);
+      ready();
+    };
+  }
+
+  // refreshes the mirrors' worms from a full snapshot, then calls then(); with no
+  // worker (or nothing asked) the mirrors are the sims and then() runs right away
+  function syncMirrors(then) {
+    if (!renderWorker) {
+      then?.();
+      return;
+    }
+    if (syncWaiters) {
+      if (then) syncWaiters.push(then);
+      return;
+    }
+    syncWaiters = then ? [then] : [];
+    renderWorker.post({ type: "sync" });
+  }
+
+  // worm ids whose heads the worker sends every tick
+  function watchedWorms() {
+    const ids = [];
+    if (followId) ids.push(followId);
+    if (inspect?.kind === "worm") ids.push(inspect.id);
+    return ids;
+  }
+
+  function onWorkerMessage(msg) {
+    if (msg.type === "tick") {
+      // views first, so events can name colonies the mirrors now have
+      let stale = false;
+      msg.views?.forEach((v, i) => { if (simLinks[i].view(v, msg.seq)) stale = true; });
+      if (stale) syncMirrors();
+      for (const [i, type, payload] of msg.events) simLinks[i].emit(type, payload);
+      if (msg.renderMs) Object.assign(renderMs, msg.renderMs);
+      if (msg.perf) {
+        const now = performance.now();
+        governQuality((now - workerPerfAt) / 1000, msg.perf.frameMs, msg.perf.workMs);
+        workerPerfAt = now;
+      }
+    } else if (msg.type === "sync") {
+      msg.snaps.forEach((snap, i) => simLinks[i].snapshot(snap, msg.seq));
+      const waiters = syncWaiters || [];
+      syncWaiters = null;
+      for (const fn of waiters) fn();
+    } else if (msg.type === "capture") {
+      if (!msg.blob) {
+        setToast("Capture blocked — screenshot instead");
+        return;
+      }
+      downloadBlob(msg.blob, "worm_colony.png");
+      setToast("Capture saved");
+    } else if (msg.type === "glLost") {
+      glLost();
+    }
+  }
+
   // ---------- Audio (iOS unlock on gesture) ----------
-  let audioOn = true;
+  const MIXER_KEY = "wormColony:mixer";
+  const MIXER_CHANNELS = [
+    { key: "master", label: "Master" },
+    { key: "music", label: "Ambience" },
+    { key: "cues", label: "Event Cues" },
+    { key: "ui", label: "UI Clicks" },
+  ];
+  const mixer = loadMixer(); // {on, master, music, cues, ui}, levels 0..1
+
   let audioReady = false;
   let audioCtx = null;
+  let masterBus = null; // everything ends up here so clips record music and cues alike
+  const buses = {}; // music / cues / ui -> GainNode into masterBus
+
+  function loadMixer() {
+    const m = { on: true, master: 1, music: 0.5, cues: 1, ui: 1 };
+    try {
+      const raw = JSON.parse(localStorage.getItem(MIXER_KEY) || "null");
+      if (raw && typeof raw === "object") {
+        if (typeof raw.on === "boolean") m.on = raw.on;
+        for (const { key } of MIXER_CHANNELS) if (Number.isFinite(raw[key])) m[key] = clamp(raw[key], 0, 1);
+      }
+    } catch { /* blocked or corrupt: defaults */ }
+    return m;
+  }
+
+  function saveMixer() {
+    try { localStorage.setItem(MIXER_KEY, JSON.stringify(mixer)); } catch { /* storage full or blocked */ }
+  }
+
+  function applyMixer() {
+    if (!audioReady) return;
+    const t0 = audioCtx.currentTime;
+    masterBus.gain.setTargetAtTime(mixer.on ? mixer.master : 0, t0, 0.05);
+    for (const k of ["music", "cues", "ui"]) buses[k].gain.setTargetAtTime(mixer[k], t0, 0.05);
+  }
 
   function ensureAudio() {
-    if (!audioOn) return;
+    if (!mixer.on) return;
     if (audioReady) return;
     try {
       audioCtx = new (window.AudioContext || window.webkitAudioContext)();
+      masterBus = audioCtx.createGain();
+      masterBus.connect(audioCtx.destination);
+      for (const k of ["music", "cues", "ui"]) {
+        buses[k] = audioCtx.createGain();
+        buses[k].connect(masterBus);
+      }
       audioReady = true;
+      applyMixer();
       if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
     } catch {
       audioReady = false;
     }
   }
 
-  function blip(freq = 440, dur = 0.08, type = "sine", gain = 0.06) {
-    if (!audioOn) return;
+  function blip(freq = 440, dur = 0.08, type = "sine", gain = 0.06, bus = "cues") {
+    if (!mixer.on) return;
     ensureAudio();
     if (!audioReady || !audioCtx) return;
 
@@ -104,12 +467,17 @@
     g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
 
     o.connect(g);
-    g.connect(audioCtx.destination);
+    g.connect(buses[bus]);
 
     o.start(t0);
     o.stop(t0 + dur);
   }
 
+  // button and tap feedback, on its own fader
+  function uiBlip(freq = 300, type = "sine") {
+    blip(freq, 0.05, type, 0.03, "ui");
+  }
+
   function chord(base = 220) {
     blip(base, 0.10, "triangle", 0.05);
     setTimeout(() => blip(base * 1.26, 0.11, "triangle", 0.045), 18);
@@ -117,7 +485,7 @@
   }
 
   function whoosh() {
-    if (!audioOn) return;
+    if (!mixer.on) return;
     ensureAudio();
     if (!audioReady || !audioCtx) return;
 
@@ -133,13 +501,146 @@
     g.gain.exponentialRampToValueAtTime(0.0001, t0 + 0.22);
 
     o.connect(g);
-    g.connect(audioCtx.destination);
+    g.connect(buses.cues);
     o.start(t0);
     o.stop(t0 + 0.24);
   }
 
   window.addEventListener("pointerdown", () => ensureAudio(), { once: true, passive: true });
 
+  // ---------- Ambient music ----------
+  // a slow generative bed on the music bus: tempo and brightness follow growth,
+  // harmony follows the mcap trend and a low drone swells while a boss is out
+  const MUSIC_ROOT = 146.83; // D3
+  const MUSIC_LOOKAHEAD = 0.25; // seconds of notes queued ahead of the audio clock
+  const SCALES = {
+    major: [0, 2, 4, 7, 9],
+    minor: [0, 3, 5, 7, 10],
+    boss: [0, 1, 5, 7, 8],
+  };
+  const PROGRESSION = [0, 3, 1, 2]; // scale degree each bar's chord is stacked on
+
+  const music = {
+    intensity: 0, // 0..1, growth relative to where the worm count tops out
+    trend: 0, // -1..1, mcap against its slow average
+    mcapAvg: 0,
+    boss: false,
+    mode: "major",
+    bpm: 60,
+    beat: 0, // eighth notes since the music started
+    nextAt: 0, // audio-clock time of the next eighth
+    filter: null,
+    drone: null,
+  };
+
+  function updateMood(dt) {
+    const k = sim.config.worms;
+    const full = Math.max(1, (k.max - k.min) / Math.max(0.01, k.perGrowth));
+    music.intensity = lerp(music.intensity, clamp(sim.growthScore() / full, 0, 1), 1 - Math.exp(-dt / 4));
+
+    const mcap = sim.state.mcap;
+    music.mcapAvg = music.mcapAvg ? lerp(music.mcapAvg, mcap, 1 - Math.exp(-dt / 20)) : mcap;
+    music.trend = clamp(((mcap - music.mcapAvg) / Math.max(1, music.mcapAvg)) * 10, -1, 1);
+    music.boss = sim.state.colonies.some((c) => c.boss);
+
+    // a little hysteresis so a flat market does not flip the key every bar
+    if (music.boss) music.mode = "boss";
+    else if (music.trend < -0.15) music.mode = "minor";
+    else if (music.trend > 0.05 || music.mode === "boss") music.mode = "major";
+    music.bpm = 60 + 44 * music.intensity;
+  }
+
+  function noteHz(degree, octave = 0) {
+    const scale = SCALES[music.mode];
+    const oct = Math.floor(degree / scale.length);
+    const semis = scale[degree - oct * scale.length] + 12 * (oct + octave);
+    return MUSIC_ROOT * Math.pow(2, semis / 12);
+  }
+
+  function tone(freq, t0, dur, type, gain, attack = 0.02) {
+    const o = audioCtx.createOscillator();
+    const g = audioCtx.createGain();
+    o.type = type;
+    o.frequency.setValueAtTime(freq, t0);
+    g.gain.setValueAtTime(0.0001, t0);
+    g.gain.exponentialRampToValueAtTime(gain, t0 + attack);
+    g.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+    o.connect(g);
+    g.connect(music.filter);
+    o.start(t0);
+    o.stop(t0 + dur + 0.05);
+  }
+
+  function playEighth(i, t0) {
+    const eighth = 30 / music.bpm;
+    const pos = i % 8;
+    const deg = PROGRESSION[Math.floor(i / 8) % PROGRESSION.length];
+    const I = music.intensity;
+
+    if (pos === 0) {
+      // pad chord held across the bar, bass on the downbeat
+      for (let n = 0; n < 3; n++) tone(noteHz(deg + n * 2), t0, eighth * 9, "sine", 0.03, eighth * 2);
+      tone(noteHz(deg, -1), t0, eighth * 3, "triangle", 0.05);
+    } else if (pos === 4 && I > 0.45) {
+      tone(noteHz(deg, -1), t0, eighth * 2, "triangle", 0.035);
+    }
+
+    // sparkles get busier as the colony grows
+    if (pos % 2 === 1 && Math.random() < 0.12 + 0.6 * I) {
+      tone(noteHz(deg + Math.floor(Math.random() * 5), 1), t0, eighth * 1.6, "sine", 0.012 + 0.02 * I, 0.01);
+    }
+  }
+
+  function ensureMusicNodes() {
+    if (music.filter) return;
+    music.filter = audioCtx.createBiquadFilter();
+    music.filter.type = "lowpass";
+    music.filter.connect(buses.music);
+
+    // detuned saws an octave under the root, silent until a boss shows up
+    const g = audioCtx.createGain();
+    g.gain.value = 0;
+    const lp = audioCtx.createBiquadFilter();
+    lp.type = "lowpass";
+    lp.frequency.value = 220;
+    lp.connect(g);
+    g.connect(buses.music);
+    for (const detune of [-7, 7]) {
+      const o = audioCtx.createOscillator();
+      o.type = "sawtooth";
+      o.frequency.value = MUSIC_ROOT / 2;
+      o.detune.value = detune;
+      o.connect(lp);
+      o.start();
+    }
+    music.drone = g;
+  }
+
+  function updateMusic(dt) {
+    updateMood(dt);
+    if (!audioReady || !mixer.on || mixer.music <= 0) {
+      music.nextAt = 0;
+      return;
+    }
+    ensureMusicNodes();
+
+    const now = audioCtx.currentTime;
+    music.filter.frequency.setTargetAtTime(500 + 3500 * music.intensity, now, 0.5);
+    music.drone.gain.setTargetAtTime(music.boss ? 0.045 : 0, now, 0.8);
+
+    // after a pause (hidden tab, muted) pick up from now instead of replaying the gap
+    if (music.nextAt < now) music.nextAt = now + 0.05;
+    while (music.nextAt < now + MUSIC_LOOKAHEAD) {
+      playEighth(music.beat++, music.nextAt);
+      music.nextAt += 30 / music.bpm;
+    }
+  }
+
+  function moodLabel() {
+    const dir = music.trend > 0.05 ? "↑" : music.trend < -0.05 ? "↓" : "→";
+    return `${Math.round(music.bpm)} BPM • ${music.mode} • mcap ${dir} • intensity ${Math.round(music.intensity * 100)}%`;
+  }
+
   // ---------- Toast ----------
   let toastTO = null;
   function setToast(msg, ms = 1200) {
@@ -150,6 +651,31 @@
     toastTO = setTimeout(() => { toast.style.opacity = "0.88"; }, ms);
   }
 
+  // ---------- Screen reader announcements ----------
+  const announcer = $("announcer");
+  const ANNOUNCE_GAP = 1500; // ms between announcements; a newer one replaces a waiting one
+  let announceMsg = "", announceTO = null, announcedAt = 0;
+
+  function announce(msg) {
+    if (!announcer) return;
+    announceMsg = msg;
+    if (announceTO) return;
+    announceTO = setTimeout(() => {
+      announceTO = null;
+      announcedAt = Date.now();
+      // clear first so the same text twice is read twice
+      announcer.textContent = "";
+      setTimeout(() => { announcer.textContent = announceMsg; }, 40);
+    }, Math.max(0, announcedAt + ANNOUNCE_GAP - Date.now()));
+  }
+
+  // the events worth interrupting for: bosses, new and collapsed colonies, dash charges
+  function isHeadline(e) {
+    if (e.kind === "BOSS" || e.kind === "EVENT") return true;
+    if (e.kind === "DASH") return e.tier !== undefined;
+    return e.kind === "DECLINE" && e.msg.includes("collapsed");
+  }
+
   // ---------- Events (capped + filter) ----------
   const LOG_CAP = 80;
   let filterMode = "ALL";
@@ -190,46 +716,64 @@
     }
 
     // sim-only sounds/toasts (no buy/sell spam in the log)
-    if (kind === "BOSS") { chord(140); setToast("⚠ Boss worm emerged", 1500); }
+    if (kind === "BOSS") { whoosh(); chord(140); setToast(`⚠ ${msg}`, 1500); }
     if (kind === "DASH") { whoosh(); chord(180); setToast("⚡ Boss dash", 1200); }
-    if (kind === "EVENT" && msg.includes("New colony")) { chord(220); setToast("✨ New colony spawned", 1400); }
-    if (kind === "MUTATION") { blip(520, 0.07, "sine", 0.045); }
+    if (kind === "EVENT" && msg.includes("New colony spawned")) { chord(220); setToast("✨ New colony spawned", 1400); }
+    if (kind === "MUTATION" && msg.includes("Rare mutation")) { chord(280); }
+    else if (kind === "MUTATION") { blip(520, 0.07, "sine", 0.045); }
     if (kind === "HATCH") { blip(360, 0.06, "triangle", 0.040); }
+    if (kind === "HUNT" && msg.includes("caught")) { blip(200, 0.09, "square", 0.03); }
+    if (kind === "DECLINE" && msg.includes("collapsed")) { blip(110, 0.30, "sawtooth", 0.05); setToast("☠ Colony collapsed", 1500); }
+    else if (kind === "DECLINE") { blip(150, 0.10, "triangle", 0.035); }
 
     renderEvents();
   }
 
+  // sim events go to the log, which also sounds them
+  tokens.forEach((t, i) => {
+    const tag = multi ? `${t.label} • ` : "";
+    t.sim.on("event", (e) => {
+      addEvent(e.kind, tag + e.msg);
+      if (e.colony && MINI_FLASH[e.kind]) miniFlash(t, e.colony, MINI_FLASH[e.kind]);
+      if (isHeadline(e)) announce(tag + e.msg);
+      embedSend("event", { token: t.ticker, ...e });
+      alertFor(tag, e);
+      trackAchievements(i, e);
+    });
+    t.sim.on("cue", (c) => {
+      if (c.name === "dashEnd") blip(240, 0.08, "triangle", 0.04);
+      alertFor(tag, c);
+      trackAchievements(i, c);
+    });
+  });
+
   chipBtns.forEach(btn => {
     btn.addEventListener("click", () => {
       chipBtns.forEach(b => b.classList.remove("active"));
       btn.classList.add("active");
       filterMode = btn.dataset.filter || "ALL";
       renderEvents();
-      blip(260, 0.05, "sine", 0.03);
+      uiBlip(260);
     });
   });
 
-  // ---------- Economy / triggers ----------
-  let buyers = 0;
-  let volume = 0;
-  let mcap = 0;
-
-  const MAX_COLONIES = 16;
-  const MC_STEP = 25000;
-  let nextSplitAt = MC_STEP;
-
-  let bossSpawned = false;
-  let bossRef = null;
-
-  function growthScore() {
-    return (mcap / 20000) + (volume / 6000) + (buyers / 10);
-  }
-
   // ---------- Camera ----------
   let camX = 0, camY = 0, zoom = 0.85;
   let dragging = false, lastX = 0, lastY = 0;
-  let selected = 0;
+  let downX = 0, downY = 0;
   let focusOn = false;
+  let followId = null; // worm id the camera tracks
+
+  let panVX = 0, panVY = 0; // world units per second left over from a flick
+  let camAnim = null; // {x0, y0, z0, x1, y1, z1, t, dur} tween in progress
+
+  // several tokens sit far apart, so the view may pull back further to show them side by side
+  const MIN_ZOOM = multi ? 0.2 : 0.55;
+  const MAX_ZOOM = 2.6;
+
+  // follows prefers-reduced-motion until the Motion button says otherwise
+  const motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)");
+  let reducedMotion = !!motionQuery?.matches;
 
   let isInteracting = false;
   let labelsOn = true;
@@ -242,282 +786,329 @@
     };
   }
 
+  // regions are far apart, so the first token with a hit is the one under the pointer
+  function pickWorm(wx, wy, r) {
+    for (const t of tokens) {
+      const hit = t.sim.wormAt(wx, wy, r);
+      if (hit) return { t, hit };
+    }
+    return null;
+  }
+
   function pickColony(wx, wy) {
-    let best = -1, bestD = Infinity;
-    for (let i = 0; i < colonies.length; i++) {
-      const c = colonies[i];
-      const d = dist2(wx, wy, c.x, c.y);
-      if (d < bestD) { bestD = d; best = i; }
+    for (const t of tokens) {
+      const c = t.sim.colonyAt(wx, wy, 280);
+      if (c) return { t, idx: t.sim.state.colonies.indexOf(c) };
     }
-    return (best !== -1 && bestD < 280 * 280) ? best : -1;
+    return null;
+  }
+
+  // canvas-local pixels from a pointer event
+  function localPoint(e) {
+    const r = canvas.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
   }
 
-  function centerOnSelected(smooth = true) {
-    const c = colonies[selected];
+  // keeps the world point under (px, py) where it is on screen
+  function zoomAt(z, px = W / 2, py = H / 2) {
+    const w = toWorld(px, py);
+    zoom = clamp(z, MIN_ZOOM, MAX_ZOOM);
+    camX = (px - W / 2) / zoom - w.x;
+    camY = (py - H / 2) / zoom - w.y;
+    camAnim = null;
+  }
+
+  function centerOnSelected(smooth = true, dt = 1 / 60) {
+    const c = colonies[sim.state.selected];
     if (!c) return;
-    if (!smooth) {
+    if (!smooth || reducedMotion) {
       camX = -c.x;
       camY = -c.y;
       return;
     }
-    camX = lerp(camX, -c.x, 0.18);
-    camY = lerp(camY, -c.y, 0.18);
+    // 0.18 per 60 Hz frame, whatever the display rate
+    const k = 1 - Math.pow(0.82, dt * 60);
+    camX = lerp(camX, -c.x, k);
+    camY = lerp(camY, -c.y, k);
+  }
+
+  // glide the view centre to a world point
+  function flyTo(x, y, z = zoom, dur = 0.45) {
+    followId = null;
+    panVX = panVY = 0;
+    if (reducedMotion) {
+      camX = -x;
+      camY = -y;
+      zoom = clamp(z, MIN_ZOOM, MAX_ZOOM);
+      return;
+    }
+    camAnim = { x0: camX, y0: camY, z0: zoom, x1: -x, y1: -y, z1: clamp(z, MIN_ZOOM, MAX_ZOOM), t: 0, dur };
+  }
+
+  // double tap glides in on the spot, or back out once already close
+  function doubleTapZoom(px, py) {
+    const w = toWorld(px, py);
+    flyTo(w.x, w.y, zoom >= MAX_ZOOM * 0.8 ? 0.85 : zoom * 1.8);
+  }
+
+  // tweens and flick momentum; returns false when there is nothing to do
+  function updateCamera(dt) {
+    if (camAnim) {
+      const a = camAnim;
+      a.t = Math.min(a.dur, a.t + dt);
+      const u = 1 - Math.pow(1 - a.t / a.dur, 3);
+      zoom = a.z0 * Math.pow(a.z1 / a.z0, u);
+      camX = lerp(a.x0, a.x1, u);
+      camY = lerp(a.y0, a.y1, u);
+      if (a.t >= a.dur) camAnim = null;
+      return true;
+    }
+    if (dragging || (!panVX && !panVY)) return false;
+    camX += panVX * dt;
+    camY += panVY * dt;
+    // about 4% of the speed is left after a second
+    const k = Math.pow(0.04, dt);
+    panVX *= k;
+    panVY *= k;
+    if (Math.hypot(panVX, panVY) * zoom < 8) panVX = panVY = 0;
+    return true;
+  }
+
+  function selectColony(t, idx) {
+    setActiveToken(t);
+    sim.select(idx);
+    const c = colonies[idx];
+    setToast(`Colony #${idx + 1} • ${c.dna.temperament} • ${c.dna.style}`, 1200);
+    addEvent("EVENT", `Selected Colony #${idx + 1} • ${c.dna.temperament} • ${c.dna.biome}`);
+    if (focusOn) centerOnSelected(true);
+    openInspector("colony", c.id);
   }
 
   // tap rings
   const tapRings = [];
   function ring(x, y) {
-    tapRings.push({ x, y, r: 10, a: 0.9 });
-    blip(240, 0.05, "sine", 0.02);
+    if (renderWorker) renderWorker.post({ type: "ring", x, y });
+    else tapRings.push({ x, y, r: 10, a: 0.9 });
+    blip(240, 0.05, "sine", 0.02, "ui");
+  }
+
+  // ---------- Pointer input ----------
+  const pointers = new Map(); // pointerId -> canvas-local {x, y}
+  let pinched = false; // a second pointer joined, so the gesture is no tap
+  let pinchDist = 0, pinchX = 0, pinchY = 0;
+  let lastMoveAt = 0;
+  let lastTapAt = 0, lastTapX = 0, lastTapY = 0;
+
+  function pinchState() {
+    const [a, b] = pointers.values();
+    pinchDist = Math.hypot(b.x - a.x, b.y - a.y);
+    pinchX = (a.x + b.x) / 2;
+    pinchY = (a.y + b.y) / 2;
+  }
+
+  function startDrag(p) {
+    dragging = true;
+    lastX = p.x; lastY = p.y;
+    lastMoveAt = performance.now();
+    panVX = panVY = 0;
   }
 
   canvas.addEventListener("pointerdown", (e) => {
     canvas.setPointerCapture?.(e.pointerId);
-    dragging = true;
+    const p = localPoint(e);
+    pointers.set(e.pointerId, p);
     isInteracting = true;
-    lastX = e.clientX; lastY = e.clientY;
+    camAnim = null;
+    syncMirrors(); // a tap hit-tests worms, so have them current by pointerup
+    if (pointers.size === 1) {
+      pinched = false;
+      downX = p.x; downY = p.y;
+      startDrag(p);
+    } else if (pointers.size === 2) {
+      dragging = false;
+      pinched = true;
+      panVX = panVY = 0;
+      pinchState();
+    }
   }, { passive: true });
 
   canvas.addEventListener("pointermove", (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    const p = localPoint(e);
+    pointers.set(e.pointerId, p);
+
+    if (pointers.size >= 2) {
+      const d0 = pinchDist, x0 = pinchX, y0 = pinchY;
+      pinchState();
+      // follow the midpoint, then scale around it
+      camX += (pinchX - x0) / zoom;
+      camY += (pinchY - y0) / zoom;
+      if (d0 > 0) zoomAt(zoom * pinchDist / d0, pinchX, pinchY);
+      followId = null;
+      return;
+    }
     if (!dragging) return;
-    const dx = e.clientX - lastX;
-    const dy = e.clientY - lastY;
-    lastX = e.clientX; lastY = e.clientY;
+
+    const now = performance.now();
+    const dx = p.x - lastX;
+    const dy = p.y - lastY;
+    lastX = p.x; lastY = p.y;
     camX += dx / zoom;
     camY += dy / zoom;
+    // smoothed so one jittery event does not decide the flick
+    const sec = Math.max(4, now - lastMoveAt) / 1000;
+    panVX = lerp(panVX, dx / zoom / sec, 0.5);
+    panVY = lerp(panVY, dy / zoom / sec, 0.5);
+    lastMoveAt = now;
+    if (followId && Math.hypot(p.x - downX, p.y - downY) > 8) followId = null;
   }, { passive: true });
 
   canvas.addEventListener("pointerup", (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.delete(e.pointerId);
+
+    // lifting one finger of a pinch carries on as a drag
+    if (pointers.size === 1) {
+      startDrag(pointers.values().next().value);
+      return;
+    }
+    if (pointers.size) {
+      pinchState();
+      return;
+    }
+
     dragging = false;
     isInteracting = false;
+    if (pinched) {
+      panVX = panVY = 0;
+      return;
+    }
+
+    // a drag is not a tap; one that paused before letting go has no momentum
+    const pt = localPoint(e);
+    if (Math.hypot(pt.x - downX, pt.y - downY) > 8) {
+      if (reducedMotion || performance.now() - lastMoveAt > 80) panVX = panVY = 0;
+      return;
+    }
+    panVX = panVY = 0;
+
+    const now = performance.now();
+    if (now - lastTapAt < 300 && Math.hypot(pt.x - lastTapX, pt.y - lastTapY) < 32) {
+      lastTapAt = 0;
+      doubleTapZoom(pt.x, pt.y);
+      return;
+    }
+    lastTapAt = now; lastTapX = pt.x; lastTapY = pt.y;
 
-    const w = toWorld(e.clientX, e.clientY);
+    const w = toWorld(pt.x, pt.y);
     ring(w.x, w.y);
 
-    const idx = pickColony(w.x, w.y);
-    if (idx !== -1) {
-      selected = idx;
-      const c = colonies[idx];
-      setToast(`Colony #${idx + 1} • ${c.dna.temperament} • ${c.dna.style}`, 1200);
-      addEvent("EVENT", `Selected Colony #${idx + 1} • ${c.dna.temperament} • ${c.dna.biome}`);
-      if (focusOn) centerOnSelected(true);
+    const pick = pickWorm(w.x, w.y, 10 / zoom);
+    if (pick) {
+      setActiveToken(pick.t);
+      openInspector("worm", pick.hit.w.id);
+      return;
     }
+
+    const picked = pickColony(w.x, w.y);
+    if (picked) selectColony(picked.t, picked.idx);
   }, { passive: true });
 
-  canvas.addEventListener("pointercancel", () => {
+  canvas.addEventListener("pointercancel", (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size) return;
     dragging = false;
     isInteracting = false;
+    panVX = panVY = 0;
   }, { passive: true });
 
   canvas.addEventListener("wheel", (e) => {
     e.preventDefault();
     isInteracting = true;
+    panVX = panVY = 0;
     const k = e.deltaY > 0 ? 0.92 : 1.08;
-    zoom = clamp(zoom * k, 0.55, 2.6);
+    const p = localPoint(e);
+    zoomAt(zoom * k, p.x, p.y);
     clearTimeout(canvas.__wheelTO);
     canvas.__wheelTO = setTimeout(() => (isInteracting = false), 140);
   }, { passive: false });
 
-  let lastTap = 0;
-  canvas.addEventListener("touchend", () => {
-    const t = Date.now();
-    if (t - lastTap < 280) centerOnSelected(false);
-    lastTap = t;
-  }, { passive: true });
-
-  // ---------- Background: stars + nebulas + galaxies ----------
-  const bg = {
-    stars: [],
-    nebulas: [],
-    layers: [
-      { par: 0.10, count: 200, size: [0.6, 1.6], a: [0.12, 0.35] },
-      { par: 0.22, count: 150, size: [0.8, 2.2], a: [0.14, 0.45] },
-      { par: 0.40, count: 100, size: [1.2, 2.8], a: [0.16, 0.55] },
-    ],
-    worldSize: 5600,
-    phase: 0,
+  // ---------- Keyboard ----------
+  // letter -> button action, so a shortcut does exactly what the button does
+  const KEY_ACTIONS = {
+    f: "feed", b: "smallBuy", w: "whaleBuy", s: "sell", v: "storm", m: "mutate",
+    c: "focus", l: "labels", n: "minimap", a: "sound", r: "record",
   };
+  const KEY_HELP = "Arrows pan • +/− zoom • 0 fit • Tab/1–9 colonies • F feed • B buy • W whale • S sell • V storm • M mutate • C focus • L labels • N map • A sound • R record • O overlay";
+  const PAN_STEP = 80; // screen pixels per arrow press
 
-  function initBackground() {
-    bg.stars.length = 0;
-    bg.nebulas.length = 0;
-
-    // nebulas
-    const nebCount = 14;
-    for (let i = 0; i < nebCount; i++) {
-      bg.nebulas.push({
-        x: rand(-bg.worldSize, bg.worldSize),
-        y: rand(-bg.worldSize, bg.worldSize),
-        r: rand(260, 820),
-        hue: rand(170, 330),
-        a: rand(0.08, 0.24),
-        wob: rand(0.6, 1.8),
-      });
-    }
-
-    // stars
-    for (let li = 0; li < bg.layers.length; li++) {
-      const L = bg.layers[li];
-      for (let i = 0; i < L.count; i++) {
-        bg.stars.push({
-          x: rand(-bg.worldSize, bg.worldSize),
-          y: rand(-bg.worldSize, bg.worldSize),
-          r: rand(L.size[0], L.size[1]),
-          a: rand(L.a[0], L.a[1]),
-          p: L.par,
-          tw: rand(0.6, 1.8),
-          ph: rand(0, Math.PI * 2),
-          tint: rand(0, 1),
-        });
-      }
-    }
+  function press(action) {
+    document.querySelector(`button[data-action="${action}"]`)?.click();
   }
 
-  function drawBackground(time) {
-    // draw in screen space (before world transform) so it never “glitches”
-    ctx.fillStyle = "#000";
-    ctx.fillRect(-W / 2 - 2, -H / 2 - 2, W + 4, H + 4);
-
-    bg.phase += 0.00025;
-    const exposure = 0.92 + 0.08 * Math.sin(bg.phase);
-
-    // nebulas
-    for (const n of bg.nebulas) {
-      const px = (n.x + camX) * 0.18;
-      const py = (n.y + camY) * 0.18;
-
-      const wob = Math.sin(time * 0.00025 * n.wob + n.x * 0.001) * 0.10;
-      const rr = n.r * (1 + wob);
-
-      const g = ctx.createRadialGradient(px, py, 0, px, py, rr);
-      const a0 = (isInteracting ? n.a * 0.65 : n.a) * exposure;
-
-      g.addColorStop(0, `hsla(${n.hue}, 85%, 58%, ${a0})`);
-      g.addColorStop(0.45, `hsla(${(n.hue + 30) % 360}, 85%, 55%, ${a0 * 0.65})`);
-      g.addColorStop(1, `hsla(${n.hue}, 85%, 55%, 0)`);
+  // keyboard selection also brings the colony into view and says what it is
+  function keySelect(idx) {
+    const c = colonies[idx];
+    if (!c) return;
+    selectColony(active, idx);
+    flyTo(c.x, c.y);
+    announce(`Colony ${idx + 1} of ${colonies.length} • ${c.dna.temperament} • ${c.worms.length} worms`);
+  }
 
-      ctx.fillStyle = g;
-      ctx.beginPath();
-      ctx.arc(px, py, rr, 0, Math.PI * 2);
-      ctx.fill();
+  document.addEventListener("keydown", (e) => {
+    const el = e.target;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+    const onCanvas = el === canvas;
+
+    // Tab walks the colonies while the canvas has focus, then lets focus move on
+    if (e.key === "Tab") {
+      if (!onCanvas) return;
+      const next = sim.state.selected + (e.shiftKey ? -1 : 1);
+      if (next < 0 || next >= colonies.length) return;
+      e.preventDefault();
+      keySelect(next);
+      return;
     }
 
-    // stars
-    ctx.globalCompositeOperation = "screen";
-    for (const s of bg.stars) {
-      const tw = 0.65 + 0.35 * Math.sin(time * 0.0012 * s.tw + s.ph);
-      const a = s.a * tw * (isInteracting ? 0.85 : 1.0) * exposure;
-
-      const sx = (s.x + camX) * s.p;
-      const sy = (s.y + camY) * s.p;
-
-      const cool = s.tint < 0.33;
-      const warm = s.tint > 0.72;
-      const col = cool ? `rgba(180,220,255,${a})`
-        : warm ? `rgba(255,220,190,${a})`
-        : `rgba(255,255,255,${a})`;
-
-      ctx.fillStyle = col;
-      ctx.beginPath();
-      ctx.arc(sx, sy, s.r, 0, Math.PI * 2);
-      ctx.fill();
+    // buttons and chips keep Enter/Space for themselves
+    if (!onCanvas && el?.tagName === "BUTTON" && (e.key === " " || e.key === "Enter")) return;
+
+    const step = (e.shiftKey ? 3 : 1) * PAN_STEP / zoom;
+    let handled = true;
+    switch (e.key) {
+      case "ArrowLeft": camX += step; break;
+      case "ArrowRight": camX -= step; break;
+      case "ArrowUp": camY += step; break;
+      case "ArrowDown": camY -= step; break;
+      case "+": case "=": zoomAt(zoom * 1.12); break;
+      case "-": case "_": zoomAt(zoom * 0.88); break;
+      case "0": zoomOutToFitAll(MIN_ZOOM, allColonies()); break;
+      case "Escape": closeInspector(); break;
+      case "?": setToast(KEY_HELP, 4000); announce(KEY_HELP); break;
+      default: {
+        const k = e.key.toLowerCase();
+        if (/^[1-9]$/.test(k)) keySelect(Number(k) - 1);
+        else if (KEY_ACTIONS[k]) press(KEY_ACTIONS[k]);
+        else handled = overlayKey(k);
+      }
     }
-    ctx.globalCompositeOperation = "source-over";
-  }
-
-  // ---------- Colony/Worm models ----------
-  function newColony(x, y, hue = rand(0, 360)) {
-    const dna = {
-      hue,
-      chaos: rand(0.55, 1.35),
-      drift: rand(0.55, 1.35),
-      aura: rand(0.95, 1.75),
-      temperament: ["CALM", "AGGRESSIVE", "CHAOTIC", "TOXIC"][randi(0, 3)],
-      biome: ["NEON GARDEN", "DEEP SEA", "VOID BLOOM", "GLASS CAVE", "ARC STORM"][randi(0, 4)],
-      style: ["COMET", "CROWN", "ARC", "SPIRAL", "DRIFT"][randi(0, 4)]
-    };
-
-    const nodes = Array.from({ length: randi(4, 7) }, () => ({
-      ox: rand(-70, 70),
-      oy: rand(-70, 70),
-      r: rand(55, 120),
-      ph: rand(0, Math.PI * 2),
-      sp: rand(0.4, 1.2)
-    }));
-
-    return {
-      id: Math.random().toString(16).slice(2, 6).toUpperCase(),
-      x, y,
-      vx: rand(-0.14, 0.14),
-      vy: rand(-0.14, 0.14),
-      dna,
-      nodes,
-      worms: [],
-      shock: [],
-      mutations: 0,
-    };
-  }
-
-  function newWorm(col, big = false) {
-    const type = ["DRIFTER", "ORBITER", "HUNTER"][randi(0, 2)];
-    const segCount = big ? randi(18, 28) : randi(10, 18);
-    const baseLen = big ? rand(10, 16) : rand(7, 12);
-
-    const hue = (col.dna.hue + rand(-160, 160) + 360) % 360;
-
-    const w = {
-      id: Math.random().toString(16).slice(2, 6),
-      type,
-      hue,
-      width: big ? rand(7, 11) : rand(4.2, 7),
-      speed: big ? rand(0.38, 0.75) : rand(0.5, 1.05),
-      turn: rand(0.008, 0.02) * col.dna.chaos,
-      phase: rand(0, Math.PI * 2),
-      segs: [],
-      limbs: [],
-      isBoss: false,
-
-      orbitDir: Math.random() < 0.5 ? -1 : 1,
-      orbitBias: rand(0.65, 1.35),
-      orbitTight: rand(0.7, 1.5),
-    };
-
-    let px = col.x + rand(-55, 55);
-    let py = col.y + rand(-55, 55);
-    let ang = rand(0, Math.PI * 2);
-
-    for (let i = 0; i < segCount; i++) {
-      w.segs.push({ x: px, y: py, a: ang, len: baseLen * rand(0.85, 1.22) });
-      px -= Math.cos(ang) * baseLen;
-      py -= Math.sin(ang) * baseLen;
-      ang += rand(-0.3, 0.3) * col.dna.chaos;
+    if (!handled) return;
+    e.preventDefault();
+    ensureAudio();
+    if (e.key.startsWith("Arrow")) {
+      followId = null;
+      panVX = panVY = 0;
+      camAnim = null;
     }
-
-    return w;
-  }
-
-  function addLimb(w, col, big = false) {
-    if (!w.segs.length) return;
-    const at = randi(2, w.segs.length - 3);
-    w.limbs.push({
-      at,
-      len: big ? rand(35, 90) : rand(22, 70),
-      ang: rand(-1.3, 1.3),
-      wob: rand(0.7, 1.6)
-    });
-  }
-
-  const colonies = [newColony(0, 0, 150)];
-  colonies[0].worms.push(newWorm(colonies[0], false));
-  colonies[0].worms.push(newWorm(colonies[0], false));
-  colonies[0].worms.push(newWorm(colonies[0], true));
+  });
 
   // ---------- Fit view ----------
-  function zoomOutToFitAll() {
+  function zoomOutToFitAll(minZoom = 0.55, list = colonies) {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     const pad = 620;
 
-    for (const c of colonies) {
+    for (const c of list) {
       minX = Math.min(minX, c.x - pad);
       minY = Math.min(minY, c.y - pad);
       maxX = Math.max(maxX, c.x + pad);
@@ -528,7 +1119,7 @@
     const bh = Math.max(240, maxY - minY);
     const fit = Math.min(W / bw, H / bh);
 
-    zoom = clamp(fit * 0.92, 0.55, 1.6);
+    zoom = clamp(fit * 0.92, minZoom, 1.6);
 
     const cx = (minX + maxX) / 2;
     const cy = (minY + maxY) / 2;
@@ -536,220 +1127,1441 @@
     camY = -cy;
   }
 
-  // ---------- Shockwaves ----------
-  function shockwave(col, strength = 1) {
-    col.shock.push({ r: 0, v: 2.6 + strength * 1.2, a: 0.85, w: 2 + strength });
-  }
-  function gigaShock(col) {
-    shockwave(col, 3.0);
-    setTimeout(() => shockwave(col, 2.4), 40);
-    setTimeout(() => shockwave(col, 1.8), 90);
-  }
-
-  // ---------- Boss dash state ----------
-  const bossDash = {
-    tNext: rand(8, 14),
-    tLeft: 0,
-    vx: 0,
-    vy: 0,
-    angle: 0,
-  };
-
-  function startBossDash(col, boss) {
-    const head = boss.segs[0];
-    const dx = head.x - col.x;
-    const dy = head.y - col.y;
-    const baseAng = Math.atan2(dy, dx);
-
-    const ang = baseAng + rand(-1.9, 1.9);
-    bossDash.angle = ang;
-
-    const impulse = rand(680, 980);
-    bossDash.vx = Math.cos(ang) * impulse;
-    bossDash.vy = Math.sin(ang) * impulse;
-
-    bossDash.tLeft = rand(0.55, 0.85);
-    bossDash.tNext = rand(8, 14);
-
-    if (Math.random() < 0.35) boss.orbitDir *= -1;
+  // ---------- Save / load ----------
+  const SAVE_KEY = "wormColony:save";
+  const SAVE_VERSION = 1;
+  const AUTOSAVE_MS = 15000;
+  // seed of the save a ?seed= link is standing in front of; it isn't autosaved over
+  // until the user saves, imports or starts a new colony
+  let keptSave = null;
 
-    gigaShock(col);
-    addEvent("DASH", "Boss worm CHARGE DASH");
-    whoosh();
-    chord(170);
+  function snapshot() {
+    return {
+      version: SAVE_VERSION,
+      savedAt: Date.now(),
+      ...primary.sim.serialize(),
+      tokens: tokens.slice(1).map((t) => ({ ticker: t.ticker, ...t.sim.serialize(), selected: t.sim.state.selected })),
+      active: active.ticker,
+      camera: { camX, camY, zoom, selected: primary.sim.state.selected },
+      events,
+    };
   }
 
-  function applyBossDash(dt) {
-    if (!bossRef || bossDash.tLeft <= 0) return;
+  const finite = (v) => typeof v === "number" && Number.isFinite(v);
 
-    const col = colonies[0];
-    const boss = bossRef;
-    if (!col || !boss || !boss.segs?.length) { bossDash.tLeft = 0; return; }
+  function restore(data) {
+    if (!data || data.version !== SAVE_VERSION) return false;
+    const cam = data.camera || {};
+    if (!primary.sim.load({ ...data, selected: cam.selected })) return false;
 
-    const head = boss.segs[0];
+    // tokens the save doesn't know (or a changed ?tokens= list) start fresh
+    const saved = Array.isArray(data.tokens) ? data.tokens : [];
+    for (const t of tokens.slice(1)) {
+      const d = saved.find((x) => x && x.ticker === t.ticker);
+      if (!d || !t.sim.load(d)) t.sim.reset(tokenSeed(t, primary.sim.seed));
+    }
+    setActiveToken(tokens.find((t) => t.ticker === data.active) || primary);
 
-    const k = Math.pow(0.10, dt);
-    head.x += bossDash.vx * dt;
-    head.y += bossDash.vy * dt;
+    camX = finite(cam.camX) ? cam.camX : 0;
+    camY = finite(cam.camY) ? cam.camY : 0;
+    zoom = finite(cam.zoom) ? clamp(cam.zoom, MIN_ZOOM, MAX_ZOOM) : zoom;
 
-    bossDash.vx *= k;
-    bossDash.vy *= k;
+    events.length = 0;
+    if (Array.isArray(data.events)) {
+      for (const e of data.events.slice(0, LOG_CAP)) {
+        if (e && typeof e.kind === "string" && typeof e.msg === "string") events.push(e);
+      }
+    }
 
-    head.a = lerpAngle(head.a, bossDash.angle, 0.25);
+    initBackground();
+    updateSeed();
+    updateStats();
+    renderEvents();
+    return true;
+  }
 
-    const d = Math.hypot(head.x - col.x, head.y - col.y);
-    const leash = 520 + 120 * col.dna.aura;
-    if (d > leash) {
-      head.x = lerp(head.x, col.x, 0.06);
-      head.y = lerp(head.y, col.y, 0.06);
-      bossDash.vx *= 0.65;
-      bossDash.vy *= 0.65;
+  function saveLocal() {
+    try {
+      localStorage.setItem(SAVE_KEY, JSON.stringify(snapshot()));
+      return true;
+    } catch {
+      return false;
     }
+  }
 
-    bossDash.tLeft -= dt;
-    if (bossDash.tLeft <= 0) {
-      bossDash.tLeft = 0;
-      shockwave(col, 1.2);
-      blip(240, 0.08, "triangle", 0.04);
+  function loadLocal() {
+    try {
+      const raw = localStorage.getItem(SAVE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch {
+      return null;
     }
   }
 
-  // ---------- Boss / split / mutate ----------
-  function ensureBoss() {
-    if (bossSpawned) return;
-    if (mcap >= 50000) {
-      const c = colonies[0];
-      const boss = newWorm(c, true);
-      boss.isBoss = true;
-      boss.width *= 1.6;
-      boss.speed *= 0.72;
-      boss.hue = 120;
-      for (let i = 0; i < 4; i++) addLimb(boss, c, true);
-      c.worms.push(boss);
-
-      bossRef = boss;
-      bossSpawned = true;
+  function downloadBlob(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = name;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
 
-      shockwave(c, 1.4);
-      addEvent("BOSS", "Boss worm emerged");
-      whoosh();
-    }
+  function exportSave() {
+    downloadBlob(new Blob([JSON.stringify(snapshot(), null, 2)], { type: "application/json" }), `worm_colony_${primary.sim.seed}.json`);
+    setToast("Colony exported");
   }
 
-  function trySplitByMcap() {
-    while (mcap >= nextSplitAt && colonies.length < MAX_COLONIES) {
-      const base = colonies[0];
-      const ang = rand(0, Math.PI * 2);
-      const d = rand(240, 460);
+  function importSave(file) {
+    if (!file) return;
+    file.text()
+      .then((txt) => {
+        if (!restore(JSON.parse(txt))) throw new Error("invalid save");
+        zoomOutToFitAll();
+        keptSave = null;
+        saveLocal();
+        addEvent("EVENT", `Colony imported • Seed ${primary.sim.seed}`);
+        setToast("Colony imported");
+      })
+      .catch(() => setToast("Import failed — not a colony save", 1600));
+  }
 
-      const nc = newColony(
-        base.x + Math.cos(ang) * d,
-        base.y + Math.sin(ang) * d,
-        (base.dna.hue + rand(-90, 90) + 360) % 360
-      );
+  function newWorld() {
+    const seed = Sim.randomSeed();
+    for (const t of tokens) t.sim.reset(tokenSeed(t, seed));
+    events.length = 0;
 
-      const g = growthScore();
-      const starters = clamp(Math.floor(2 + g / 2), 2, 7);
-      for (let i = 0; i < starters; i++) nc.worms.push(newWorm(nc, Math.random() < 0.25));
+    // a fresh colony must not be replaced by the ?seed= one on the next load
+    if (urlSeed) {
+      const u = new URL(location.href);
+      u.searchParams.delete("seed");
+      history.replaceState(null, "", u.pathname + u.search);
+    }
 
-      shockwave(nc, 1.1);
-      colonies.push(nc);
+    try { localStorage.removeItem(SAVE_KEY); } catch {}
 
-      addEvent("EVENT", `New colony spawned at ${fmt(nextSplitAt)} MC`);
-      nextSplitAt += MC_STEP;
-      chord(200);
-    }
+    initBackground();
+    zoomOutToFitAll();
+    updateSeed();
+    updateStats();
+    addEvent("EVENT", `New colony founded • Seed ${primary.sim.seed}`);
+    keptSave = null;
+    saveLocal();
   }
 
-  function mutateRandom() {
-    const c = colonies[randi(0, colonies.length - 1)];
-    if (!c?.worms?.length) return;
+  // the Save button; over a kept save it asks first
+  function saveByHand() {
+    if (keptSave && !confirm(`Replace your saved colony (seed ${keptSave}) with this one?`)) return;
+    keptSave = null;
+    syncMirrors(() => setToast(saveLocal() ? "Colony saved" : "Save failed — storage unavailable"));
+  }
 
-    const w = c.worms[randi(0, c.worms.length - 1)];
-    const r = Math.random();
+  // a page on its way out can't wait for the worker, so it saves the mirrors as they are
+  function startAutosave() {
+    const autosave = () => { if (!keptSave) saveLocal(); };
+    setInterval(() => syncMirrors(autosave), AUTOSAVE_MS);
+    window.addEventListener("pagehide", autosave);
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") autosave();
+    });
+  }
 
-    const rare = Math.random() < 0.06;
-    if (rare) {
-      w.hue = (w.hue + rand(160, 260)) % 360;
-      w.width = clamp(w.width * rand(1.10, 1.35), 3.5, 18);
-      w.speed *= rand(1.05, 1.20);
-      addLimb(w, c, true);
-      c.mutations++;
-      addEvent("MUTATION", `Rare mutation • Prism shift • Worm ${w.id}`);
-      shockwave(c, 1.2);
-      chord(280);
-      return;
-    }
+  // ---------- Market data sources ----------
+  // A source turns some feed into trades: { side: "buy" | "sell", amount (USD), wallet? , mcap?, token? }
+  // and hands them to applyFeed. "demo" is the manual buttons below; "ws" and "poll"
+  // come from ?feed=<url>.
+  const statusDot = $("statusDot");
+  function setStatus(text, state = "live") {
+    if (simStatus) simStatus.textContent = text;
+    if (statusDot) statusDot.className = `dot ${state}`;
+  }
 
-    if (r < 0.30) {
-      w.hue = (w.hue + rand(30, 140)) % 360;
-      addEvent("MUTATION", `Color shift • Worm ${w.id}`);
-    } else if (r < 0.56) {
-      w.speed *= rand(1.05, 1.25);
-      addEvent("MUTATION", `Aggression spike • Worm ${w.id}`);
-    } else if (r < 0.78) {
-      w.width = clamp(w.width * rand(1.05, 1.25), 3.5, 16);
-      addEvent("MUTATION", `Body growth • Worm ${w.id}`);
-    } else {
-      addLimb(w, c, Math.random() < 0.35);
-      addEvent("MUTATION", `Limb growth • Worm ${w.id}`);
+  // trades name their token as token / ticker / symbol; untagged ones belong to the primary,
+  // ones for a token we don't show are dropped
+  function applyFeed(data) {
+    for (const trade of Sim.tradesOf(data)) {
+      const tag = String(trade?.token ?? trade?.ticker ?? trade?.symbol ?? "").replace(/^\$/, "").toUpperCase();
+      const t = tag ? tokens.find((x) => x.ticker === tag) : primary;
+      t?.sim.applyTrade(trade);
     }
+  }
 
-    c.mutations++;
-    if (Math.random() < 0.22) shockwave(c, 0.9);
+  // 1s, 2s, 4s … capped at 30s, with jitter so many viewers don't reconnect in lockstep
+  function backoffMs(attempt) {
+    return Math.min(30000, 1000 * 2 ** attempt) * (0.8 + Math.random() * 0.4);
   }
 
-  // ---------- Worm population scaling ----------
-  let mutTimer = 0;
-  let spawnTimer = 0;
+  function wsSource(url) {
+    let sock = null;
+    let attempt = 0;
+    let retryTO = null;
+    let stopped = false;
+
+    function connect() {
+      setStatus(attempt ? "Reconnecting…" : "Connecting…", "warn");
+      try {
+        sock = new WebSocket(url);
+      } catch {
+        retry();
+        return;
+      }
+      sock.addEventListener("open", () => {
+        attempt = 0;
+        setStatus("Live • WebSocket", "live");
+        addEvent("EVENT", "Live feed connected");
+      });
+      sock.addEventListener("message", (e) => {
+        try { applyFeed(JSON.parse(e.data)); } catch {}
+      });
+      sock.addEventListener("close", () => retry());
+    }
+
+    function retry() {
+      if (stopped || retryTO) return;
+      const ms = backoffMs(attempt++);
+      setStatus(`Feed lost • retry in ${Math.ceil(ms / 1000)}s`, "off");
+      retryTO = setTimeout(() => { retryTO = null; connect(); }, ms);
+    }
+
+    return {
+      name: "ws",
+      start: connect,
+      stop() {
+        stopped = true;
+        clearTimeout(retryTO);
+        sock?.close();
+      },
+    };
+  }
+
+  function pollSource(url, everyMs) {
+    let cursor = null;
+    let attempt = 0;
+    let pollTO = null;
+    let stopped = false;
+    let live = false;
+
+    function poll() {
+      const u = new URL(url, location.href);
+      if (cursor !== null) u.searchParams.set("since", cursor);
+
+      fetch(u, { cache: "no-store" })
+        .then((r) => {
+          if (!r.ok) throw new Error(`HTTP ${r.status}`);
+          return r.json();
+        })
+        .then((data) => {
+          if (data && data.cursor !== undefined) cursor = data.cursor;
+          applyFeed(data);
+          attempt = 0;
+          if (!live) {
+            live = true;
+            setStatus("Live • Polling", "live");
+            addEvent("EVENT", "Live feed connected");
+          }
+          schedule(everyMs);
+        })
+        .catch(() => {
+          live = false;
+          const ms = backoffMs(attempt++);
+          setStatus(`Feed lost • retry in ${Math.ceil(ms / 1000)}s`, "off");
+          schedule(ms);
+        });
+    }
+
+    function schedule(ms) {
+      if (!stopped) pollTO = setTimeout(poll, ms);
+    }
+
+    return {
+      name: "poll",
+      start() {
+        setStatus("Connecting…", "warn");
+        poll();
+      },
+      stop() {
+        stopped = true;
+        clearTimeout(pollTO);
+      },
+    };
+  }
+
+  function demoSource() {
+    return {
+      name: "demo",
+      start() { setStatus("Demo • Simulation Active", "live"); },
+      stop() {},
+    };
+  }
+
+  function createSource() {
+    const feed = (params.get("feed") || "").trim();
+    if (!feed) return demoSource();
+    if (/^wss?:\/\//i.test(feed)) return wsSource(feed);
+    return pollSource(feed, clamp(Number(params.get("poll")) || 2000, 500, 60000));
+  }
+
+  const source = createSource();
+
+  // ---------- Embed API ----------
+  // ?embed=1 shows only the colony, for an <iframe> on someone else's page, and neither
+  // restores nor autosaves the visitor's own colony. The host talks to it with
+  // postMessage. Only our own origin and those in ?origins= (comma separated, exact
+  // scheme://host[:port]) are listened to, and only windows that said hello hear back.
+  //
+  // Every message is an object with ns: "wormColony" and a type; any may carry an id,
+  // which an error about it echoes. tools/embed-demo.html drives all of it.
+  // Host -> colony:
+  //   hello                                  start receiving; answered with ready
+  //   bye                                    stop receiving
+  //   trade   { trade } or { trades: [...] } same shapes as the live feed; token / ticker / symbol picks the token
+  //   action  { name, token? }               feed | smallBuy | whaleBuy | sell | storm | mutate
+  //   select  { colony, token? }             colony number (from 1) or colony id; the view flies there
+  //   zoom    { zoom?, x?, y? } or { fit: true }  world point to centre and zoom level, or everything in view
+  //   focus   { on }                         keep the selected colony centred
+  // Colony -> host:
+  //   ready     { version, seed, tokens: [{ ticker, label }] }
+  //   event     { token, kind, msg, colony?, worm?, ... }  each sim event, as the log shows it
+  //   stats     { tokens: [{ ticker, buyers, volume, mcap, colonies, worms, bosses }] }  once a second
+  //   selection { token, index, colony, temperament, biome, worms }  whenever it changes
+  //   error     { message, id? }
+  const EMBED_NS = "wormColony";
+  const EMBED_VERSION = 1;
+  const embedMode = params.get("embed") === "1";
+  const embedOrigins = new Set([location.origin, ...(params.get("origins") || "").split(",").map((o) => o.trim()).filter(Boolean)]);
+  const embedClients = new Map(); // window -> origin
+  let embedStatsAccum = 0;
+  let embedSelection = "";
+
+  if (embedMode) document.body.classList.add("embed");
+
+  function embedSend(type, data, to = embedClients) {
+    for (const [win, origin] of to) {
+      try {
+        win.postMessage({ ns: EMBED_NS, type, ...data }, origin);
+      } catch {
+        embedClients.delete(win); // closed or navigated away
+      }
+    }
+  }
+
+  // the token a message names, or the active one
+  function embedToken(msg) {
+    if (msg.token === undefined) return active;
+    const tag = String(msg.token).replace(/^\$/, "").toUpperCase();
+    return tokens.find((t) => t.ticker === tag) || null;
+  }
+
+  function embedStats() {
+    return {
+      tokens: tokens.map((t) => ({
+        ticker: t.ticker,
+        buyers: t.sim.state.buyers,
+        volume: t.sim.state.volume,
+        mcap: t.sim.state.mcap,
+        colonies: t.sim.state.colonies.length,
+        worms: t.sim.wormCount(),
+        bosses: t.sim.bosses().length,
+      })),
+    };
+  }
+
+  // each command returns nothing, or what was wrong with the message
+  const embedCommands = {
+    hello(msg, e) {
+      embedClients.set(e.source, e.origin);
+      embedSelection = "";
+      embedSend("ready", {
+        version: EMBED_VERSION,
+        seed: primary.sim.seed,
+        tokens: tokens.map((t) => ({ ticker: t.ticker, label: t.label })),
+      }, [[e.source, e.origin]]);
+    },
+    bye(msg, e) {
+      embedClients.delete(e.source);
+    },
+    trade(msg) {
+      const data = msg.trades ?? msg.trade;
+      if (!data || typeof data !== "object") return "trade needs trade or trades";
+      applyFeed(data);
+    },
+    action(msg) {
+      const t = embedToken(msg);
+      if (!t) return `unknown token ${msg.token}`;
+      if (!Object.hasOwn(t.sim.actions, msg.name)) return `unknown action ${msg.name}`;
+      t.sim.actions[msg.name]();
+    },
+    select(msg) {
+      const t = embedToken(msg);
+      if (!t) return `unknown token ${msg.token}`;
+      const cols = t.sim.state.colonies;
+      const idx = typeof msg.colony === "number" ? msg.colony - 1 : cols.findIndex((c) => c.id === msg.colony);
+      const c = cols[idx];
+      if (!c) return `no colony ${msg.colony}`;
+      selectColony(t, idx);
+      flyTo(c.x, c.y);
+    },
+    zoom(msg) {
+      if (msg.fit) {
+        zoomOutToFitAll(MIN_ZOOM, allColonies());
+        return;
+      }
+      const x = msg.x ?? -camX, y = msg.y ?? -camY, z = msg.zoom ?? zoom;
+      if (![x, y, z].every(Number.isFinite)) return "zoom, x and y must be numbers";
+      flyTo(x, y, z);
+    },
+    focus(msg) {
+      setFocus(Boolean(msg.on));
+    },
+  };
+
+  window.addEventListener("message", (e) => {
+    const msg = e.data;
+    if (!msg || typeof msg !== "object" || msg.ns !== EMBED_NS) return;
+    if (!embedOrigins.has(e.origin) || !e.source) return;
+    const run = typeof msg.type === "string" && Object.hasOwn(embedCommands, msg.type) ? embedCommands[msg.type] : null;
+    const problem = run ? run(msg, e) : `unknown type ${msg.type}`;
+    if (problem) embedSend("error", { message: problem, id: msg.id }, [[e.source, e.origin]]);
+  });
+
+  // selection changes go out as they happen, stats once a second
+  function updateEmbed(dt) {
+    if (!embedClients.size) return;
+    const c = colonies[sim.state.selected];
+    const key = `${active.ticker}:${c?.id}`;
+    if (c && key !== embedSelection) {
+      embedSelection = key;
+      embedSend("selection", {
+        token: active.ticker, index: sim.state.selected + 1, colony: c.id,
+        temperament: c.dna.temperament, biome: c.dna.biome, worms: c.worms.length,
+      });
+    }
+    embedStatsAccum += dt;
+    if (embedStatsAccum >= 1) {
+      embedStatsAccum = 0;
+      embedSend("stats", embedStats());
+    }
+  }
+
+  // ---------- Overlay ----------
+  // ?overlay=1 is for streaming (an OBS browser source): the page and canvas go clear,
+  // the cards hide, and boss emergence, whale buys and new colonies get big alerts.
+  //   &stars=1          keep the starfield over the clear background
+  //   &stats=1          a compact stats card, in a corner: &corner=bl|br|tl|tr (default bl)
+  //   &alerts=0         no alerts
+  // Keys: O overlay on/off; while on, T stars, I stats, P stats corner, E alerts.
+  const OVERLAY_CORNERS = ["bl", "br", "tr", "tl"];
+  const ALERT_MS = 2800;
+  const ALERT_QUEUE = 3; // older alerts are dropped beyond this
+  const overlayAlertEl = $("overlayAlert");
+  const overlay = {
+    on: params.get("overlay") === "1",
+    stars: params.get("stars") === "1",
+    stats: params.get("stats") === "1",
+    corner: OVERLAY_CORNERS.includes(params.get("corner")) ? params.get("corner") : "bl",
+    alerts: params.get("alerts") !== "0",
+  };
+  const alertQueue = [];
+  let alertTimer = null;
+
+  function applyOverlay() {
+    const cl = document.body.classList;
+    cl.toggle("overlay", overlay.on);
+    cl.toggle("overlayStats", overlay.on && overlay.stats);
+    cl.toggle("cornerTop", overlay.corner[0] === "t");
+    cl.toggle("cornerRight", overlay.corner[1] === "r");
+    if (!overlay.on) {
+      alertQueue.length = 0;
+      showAlert(null);
+    }
+  }
+
+  // what the scene draws behind the colonies
+  const backdrop = () => (!overlay.on ? "full" : overlay.stars ? "stars" : "none");
+
+  function overlayAlert(kind, title, sub) {
+    if (!overlay.on || !overlay.alerts || !overlayAlertEl) return;
+    alertQueue.push({ kind, title, sub });
+    if (alertQueue.length > ALERT_QUEUE) alertQueue.shift();
+    if (!alertTimer) nextAlert();
+  }
+
+  function nextAlert() {
+    const a = alertQueue.shift() || null;
+    showAlert(a);
+    alertTimer = a ? setTimeout(nextAlert, ALERT_MS) : null;
+  }
+
+  function showAlert(a) {
+    if (!overlayAlertEl) return;
+    if (!a) {
+      clearTimeout(alertTimer);
+      alertTimer = null;
+      overlayAlertEl.classList.remove("show");
+      return;
+    }
+    overlayAlertEl.dataset.kind = a.kind; // colour, see styles.css
+    overlayAlertEl.innerHTML = `${escapeHtml(a.title)}<span class="sub">${escapeHtml(a.sub)}</span>`;
+    overlayAlertEl.classList.add("show");
+  }
+
+  // sim events and cues worth an alert; tag names the token when there are several
+  function alertFor(tag, e) {
+    if (e.kind === "BOSS" && e.msg.includes("emerged")) overlayAlert("BOSS", "BOSS EMERGED", tag + e.msg);
+    else if (e.kind === "EVENT" && e.msg.startsWith("New colony spawned")) overlayAlert("COLONY", "NEW COLONY", tag + e.msg);
+    else if (e.name === "whale") overlayAlert("WHALE", `WHALE BUY ${fmt(e.amount)}`, `${tag}A whale just bought in`);
+  }
+
+  const OVERLAY_KEYS = {
+    o() { overlay.on = !overlay.on; return overlay.on ? "Overlay on" : "Overlay off"; },
+    t() { overlay.stars = !overlay.stars; return `Stars: ${overlay.stars ? "On" : "Off"}`; },
+    i() { overlay.stats = !overlay.stats; return `Stats: ${overlay.stats ? "On" : "Off"}`; },
+    p() {
+      overlay.corner = OVERLAY_CORNERS[(OVERLAY_CORNERS.indexOf(overlay.corner) + 1) % OVERLAY_CORNERS.length];
+      return `Stats corner: ${overlay.corner.toUpperCase()}`;
+    },
+    e() { overlay.alerts = !overlay.alerts; return `Alerts: ${overlay.alerts ? "On" : "Off"}`; },
+  };
+
+  // O works anywhere; the rest only mean something in the overlay
+  function overlayKey(k) {
+    if (!OVERLAY_KEYS[k] || (k !== "o" && !overlay.on)) return false;
+    const said = OVERLAY_KEYS[k]();
+    applyOverlay();
+    announce(said);
+    if (!overlay.on) setToast(said, 1000);
+    return true;
+  }
+
+  applyOverlay();
+
+  // ---------- Achievements ----------
+  // milestones over every colony and session; progress is kept in this browser
+  // (embeds start clean, like their save)
+  const ACHIEVE_KEY = "wormColony:achievements";
+  // a sell-off is mcap falling SELLOFF_DROP below its high of the last PEAK_SECS while there
+  // are colonies to lose; it is survived when none collapses in the SURVIVE_SECS after (sim
+  // seconds; withering takes 20s)
+  const SELLOFF_DROP = 0.15;
+  const PEAK_SECS = 60;
+  const SURVIVE_SECS = 30;
+  const POP_MS = 2600;
+  // stat: a counter (bosses, rare, survived) or the best live value seen (the rest)
+  const ACHIEVEMENTS = [
+    { id: "firstBoss", title: "First Boss", desc: "A boss worm emerges", stat: "bosses", goal: 1 },
+    { id: "colonies5", title: "Settlement", desc: "5 colonies at once", stat: "colonies", goal: 5 },
+    { id: "colonies10", title: "Sprawl", desc: "10 colonies at once", stat: "colonies", goal: 10 },
+    { id: "colonies16", title: "Full House", desc: `${Sim.MAX_COLONIES} colonies at once`, stat: "colonies", goal: Sim.MAX_COLONIES },
+    { id: "mcap100k", title: "Six Figures", desc: "Reach $100K market cap", stat: "mcap", goal: 1e5, money: true },
+    { id: "mcap500k", title: "Half a Million", desc: "Reach $500K market cap", stat: "mcap", goal: 5e5, money: true },
+    { id: "mcap1m", title: "Millionaire", desc: "Reach $1M market cap", stat: "mcap", goal: 1e6, money: true },
+    { id: "rare1", title: "Prism", desc: "A rare mutation", stat: "rare", goal: 1 },
+    { id: "rare10", title: "Kaleidoscope", desc: "10 rare mutations", stat: "rare", goal: 10 },
+    { id: "rare50", title: "Spectrum", desc: "50 rare mutations", stat: "rare", goal: 50 },
+    { id: "buyers100", title: "Crowd", desc: "100 buyers", stat: "buyers", goal: 100 },
+    { id: "buyers1000", title: "Swarm", desc: "1,000 buyers", stat: "buyers", goal: 1000 },
+    { id: "longWorm", title: "Leviathan", desc: `A worm grows to ${Sim.MAX_SEGS} segments`, stat: "segs", goal: Sim.MAX_SEGS },
+    { id: "sellOff", title: "Diamond Hands", desc: `No colony lost in the ${SURVIVE_SECS}s after a ${SELLOFF_DROP * 100}% drop`, stat: "survived", goal: 1 },
+  ];
+  const achieveCard = $("achieveCard");
+  const achieveGrid = $("achieveGrid");
+  const achieveCount = $("achieveCount");
+  const achievePop = $("achievePop");
+  const achieve = loadAchievements(); // {unlocked: {id: ms}, stats: {stat: n}}
+  const peaks = new Map(); // token -> { mcap, at }: the recent high and its sim time
+  const survivals = new Map(); // token -> sim time the sell-off is survived at
+  const popQueue = [];
+  let popTimer = null;
+  let achieveDirty = false;
+  let achieveAccum = 0;
+
+  function loadAchievements() {
+    const a = { unlocked: {}, stats: {} };
+    if (embedMode) return a;
+    try {
+      const raw = JSON.parse(localStorage.getItem(ACHIEVE_KEY) || "null");
+      for (const { id, stat } of ACHIEVEMENTS) {
+        if (Number.isFinite(raw?.unlocked?.[id])) a.unlocked[id] = raw.unlocked[id];
+        if (Number.isFinite(raw?.stats?.[stat])) a.stats[stat] = Math.max(0, raw.stats[stat]);
+      }
+    } catch { /* blocked or corrupt: start over */ }
+    return a;
+  }
+
+  function saveAchievements() {
+    achieveDirty = false;
+    if (embedMode) return;
+    try { localStorage.setItem(ACHIEVE_KEY, JSON.stringify(achieve)); } catch { /* storage full or blocked */ }
+  }
+
+  function countStat(stat) {
+    achieve.stats[stat] = (achieve.stats[stat] || 0) + 1;
+    achieveDirty = true;
+    checkAchievements();
+  }
+
+  function bestStat(stat, v) {
+    if (v <= (achieve.stats[stat] || 0)) return;
+    achieve.stats[stat] = v;
+    achieveDirty = true;
+  }
+
+  function checkAchievements() {
+    const fresh = ACHIEVEMENTS.filter((a) => !achieve.unlocked[a.id] && (achieve.stats[a.stat] || 0) >= a.goal);
+    if (!fresh.length) return;
+    for (const a of fresh) {
+      achieve.unlocked[a.id] = Date.now();
+      popQueue.push(a);
+      announce(`Achievement unlocked: ${a.title}`);
+    }
+    if (!popTimer) nextPop();
+    saveAchievements();
+    fillAchievements(fresh);
+  }
+
+  // the unlock banner over the colony; several unlocks at once take turns
+  function nextPop() {
+    const a = popQueue.shift();
+    achievePop?.classList.remove("show");
+    popTimer = null;
+    if (!a) return;
+    setToast(`🏆 Achievement unlocked • ${a.title}`, 1600);
+    chord(330);
+    if (!achievePop) return;
+    achievePop.innerHTML = `<span class="label">Achievement unlocked</span>${escapeHtml(a.title)}<span class="sub">${escapeHtml(a.desc)}</span>`;
+    void achievePop.offsetWidth; // restart the animation
+    achievePop.classList.add("show");
+    popTimer = setTimeout(nextPop, POP_MS);
+  }
+
+  // sim events and cues that move a counter; tokens are indices into `tokens`
+  function trackAchievements(t, e) {
+    if (e.kind === "BOSS" && e.msg.includes("emerged")) countStat("bosses");
+    else if (e.kind === "MUTATION" && e.rare) countStat("rare");
+    else if (e.kind === "DECLINE" && e.msg.includes("collapsed")) survivals.delete(t);
+  }
+
+  // Diamond Hands from the mcap itself, so live feeds and small sells count too;
+  // time going back means a new or loaded world, which starts over
+  function watchSellOff(t, st) {
+    const end = survivals.get(t);
+    if (end !== undefined && st.time >= end) {
+      survivals.delete(t);
+      countStat("survived");
+    }
+    const p = peaks.get(t);
+    if (!p || st.time < p.at) survivals.delete(t);
+    if (!p || st.time < p.at || st.time - p.at > PEAK_SECS || st.mcap >= p.mcap) {
+      peaks.set(t, { mcap: st.mcap, at: st.time });
+      return;
+    }
+    if (survivals.has(t) || st.colonies.length < 2 || st.mcap > p.mcap * (1 - SELLOFF_DROP)) return;
+    survivals.set(t, st.time + SURVIVE_SECS);
+    peaks.set(t, { mcap: st.mcap, at: st.time }); // the next sell-off is measured from here
+  }
+
+  function updateAchievements(dt) {
+    achieveAccum += dt;
+    if (achieveAccum < 1) return;
+    achieveAccum = 0;
+    tokens.forEach(({ sim: s }, t) => {
+      const st = s.state;
+      watchSellOff(t, st);
+      bestStat("colonies", st.colonies.length);
+      bestStat("mcap", st.mcap);
+      bestStat("buyers", st.buyers);
+      for (const c of st.colonies) for (const w of c.worms) bestStat("segs", w.segs.length);
+    });
+    checkAchievements();
+    if (achieveDirty) saveAchievements();
+    if (achieveCard && !achieveCard.hidden) fillAchievements();
+  }
+
+  function buildAchievements() {
+    if (!achieveGrid) return;
+    achieveGrid.innerHTML = ACHIEVEMENTS.map((a) =>
+      `<div class="achieveRow" data-achieve="${a.id}"><b>${escapeHtml(a.title)}</b> <span class="dim">${escapeHtml(a.desc)}</span>` +
+      `<div class="lineStats"><span class="branchBar"><i></i></span><span class="dim" data-achieve-note></span></div></div>`
+    ).join("");
+    fillAchievements();
+  }
+
+  // fresh rows get the unlock flash
+  function fillAchievements(fresh = []) {
+    const done = ACHIEVEMENTS.filter((a) => achieve.unlocked[a.id]).length;
+    if (achieveCount) achieveCount.textContent = `${done} / ${ACHIEVEMENTS.length}`;
+    if (!achieveGrid) return;
+    const show = (a, v) => (a.money ? fmt(v) : Math.floor(v).toLocaleString("en-US"));
+    for (const a of ACHIEVEMENTS) {
+      const row = achieveGrid.querySelector(`[data-achieve="${a.id}"]`);
+      if (!row) continue;
+      const at = achieve.unlocked[a.id];
+      const have = Math.min(achieve.stats[a.stat] || 0, a.goal);
+      row.classList.toggle("done", Boolean(at));
+      if (fresh.includes(a)) row.classList.add("fresh");
+      row.querySelector("i").style.width = `${at ? 100 : (have / a.goal) * 100}%`;
+      row.querySelector("[data-achieve-note]").textContent = at
+        ? `🏆 ${new Date(at).toLocaleDateString()}`
+        : `${show(a, have)} / ${show(a, a.goal)}`;
+    }
+  }
+
+  $("achieveReset")?.addEventListener("click", () => {
+    if (!confirm("Reset every achievement and its progress?")) return;
+    achieve.unlocked = {};
+    achieve.stats = {};
+    peaks.clear();
+    survivals.clear();
+    saveAchievements();
+    for (const row of achieveGrid?.querySelectorAll(".fresh") || []) row.classList.remove("fresh");
+    fillAchievements();
+    setToast("Achievements reset", 900);
+  });
+
+  buildAchievements();
+
+  // ---------- Inspector ----------
+  const inspector = $("inspector");
+  const inspTitle = $("inspTitle");
+  const inspGrid = $("inspGrid");
+  const inspHistory = $("inspHistory");
+  const inspFollowBtn = $("inspFollow");
+  let inspect = null; // { kind: "worm" | "colony", id }
+  let inspectAccum = 0;
+
+  const cell = (label, value) =>
+    `<div class="inspCell"><div class="label">${label}</div><div class="value">${value}</div></div>`;
+  const simClock = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`;
+
+  function openInspector(kind, id) {
+    if (!inspector) return;
+    inspect = { kind, id };
+    inspector.classList.add("open");
+    inspector.setAttribute("aria-hidden", "false");
+    renderInspector();
+    uiBlip();
+  }
+
+  function closeInspector() {
+    if (!inspector) return;
+    inspect = null;
+    inspector.classList.remove("open");
+    inspector.setAttribute("aria-hidden", "true");
+  }
+
+  function renderWormInspector(id) {
+    const hit = sim.findWorm(id);
+    if (!hit) {
+      inspTitle.textContent = `Worm ${id}`;
+      inspGrid.innerHTML = cell("Status", "Gone");
+      inspHistory.innerHTML = "";
+      inspFollowBtn.hidden = true;
+      return;
+    }
+
+    const { w, c } = hit;
+    const tier = w.isBoss ? Sim.BOSS_TIERS[w.tier || 0].name : "";
+    const hue = Math.round(w.hue);
+    inspTitle.textContent = `Worm ${w.id}${tier ? ` • ${tier}` : ""}`;
+    inspGrid.innerHTML = [
+      cell("Type", w.type),
+      cell("Hue", `<span class="swatch" style="background:hsl(${hue},95%,65%)"></span>${hue}°`),
+      cell("Width", w.width.toFixed(1)),
+      cell("Speed", w.speed.toFixed(2)),
+      cell("Segments", w.segs.length),
+      cell("Limbs", w.limbs.length),
+      cell("Boss", tier || "No"),
+      cell("Colony", `#${colonies.indexOf(c) + 1} • ${c.id}`),
+      cell("Generation", w.gen ?? 0),
+      cell("Parent", w.parent ? `Worm ${w.parent}` : "—"),
+      cell("Born", simClock(w.born || 0)),
+      cell("Hatched In", w.origin || c.id),
+    ].join("");
+
+    const rows = (w.history || []).map((m) =>
+      `<div class="eventRow"><span class="tag MUTATION">MUTATION:</span> ${escapeHtml(m.kind)} <span class="dim">at ${simClock(m.t)}</span></div>`
+    );
+    inspHistory.innerHTML = rows.join("") || `<div class="eventRow"><span class="dim">No mutations yet…</span></div>`;
+
+    inspFollowBtn.hidden = false;
+    inspFollowBtn.textContent = followId === w.id ? "Following" : "Follow";
+    inspFollowBtn.classList.toggle("active", followId === w.id);
+  }
+
+  function renderColonyInspector(id) {
+    const idx = colonies.findIndex((c) => c.id === id);
+    const c = colonies[idx];
+    if (!c) {
+      inspTitle.textContent = `Colony ${id}`;
+      inspGrid.innerHTML = cell("Status", "Collapsed");
+      inspHistory.innerHTML = "";
+      inspFollowBtn.hidden = true;
+      return;
+    }
+
+    const boss = c.boss ? Sim.BOSS_TIERS[c.boss.tier].name : "None";
+    inspTitle.textContent = `Colony #${idx + 1} • ${c.id}`;
+    inspGrid.innerHTML = [
+      cell("Temperament", c.dna.temperament),
+      cell("Biome", c.dna.biome),
+      cell("Style", c.dna.style),
+      cell("Chaos", c.dna.chaos.toFixed(2)),
+      cell("Drift", c.dna.drift.toFixed(2)),
+      cell("Aura", c.dna.aura.toFixed(2)),
+      cell("Worms", c.worms.length),
+      cell("Mutations", c.mutations),
+      cell("Health", `${Math.round((c.health ?? 1) * 100)}%`),
+      cell("Boss", boss),
+      cell("Generation", c.gen ?? 0),
+      cell("Parent", c.parent || "—"),
+      cell("Founded", simClock(c.born || 0)),
+    ].join("");
+
+    const rows = (c.history || []).map((m) =>
+      `<div class="eventRow"><span class="tag MUTATION">MUTATION:</span> ${escapeHtml(m.kind)} • Worm ${escapeHtml(m.worm)} <span class="dim">at ${simClock(m.t)}</span></div>`
+    );
+    inspHistory.innerHTML = rows.join("") || `<div class="eventRow"><span class="dim">No mutations yet…</span></div>`;
+
+    const following = focusOn && sim.state.selected === idx && !followId;
+    inspFollowBtn.hidden = false;
+    inspFollowBtn.textContent = following ? "Following" : "Follow";
+    inspFollowBtn.classList.toggle("active", following);
+  }
+
+  function renderInspector() {
+    if (!inspect || !inspector) return;
+    if (inspect.kind === "worm") renderWormInspector(inspect.id);
+    else renderColonyInspector(inspect.id);
+  }
+
+  // ---------- Lineage ----------
+  // colonies bud from each other; the tree lists them depth first in founding order
+  const lineageEl = $("lineageTree");
+  const lineageSummaryEl = $("lineageSummary");
+  let lineageSig = "";
+  let lineageAccum = 0;
+
+  function lineageTree() {
+    const recs = sim.state.lineage;
+    const ids = new Set(recs.map((r) => r.id));
+    const kids = new Map();
+    const roots = [];
+    for (const r of recs) {
+      if (r.parent && ids.has(r.parent)) {
+        if (!kids.has(r.parent)) kids.set(r.parent, []);
+        kids.get(r.parent).push(r);
+      } else {
+        roots.push(r);
+      }
+    }
+
+    // a branch's mutations are its own plus everything budded from it
+    const branch = new Map();
+    const total = (r) => {
+      let n = r.mutations;
+      for (const k of kids.get(r.id) || []) n += total(k);
+      branch.set(r.id, n);
+      return n;
+    };
+    roots.forEach(total);
+
+    const rows = [];
+    const walk = (r, depth) => {
+      rows.push({ r, depth });
+      for (const k of kids.get(r.id) || []) walk(k, depth + 1);
+    };
+    roots.forEach((r) => walk(r, 0));
+
+    // hottest branch: the busiest subtree below a root, or the root itself if it has none
+    let hot = null;
+    for (const r of roots) {
+      for (const k of kids.get(r.id) || [r]) if (!hot || branch.get(k.id) > branch.get(hot.id)) hot = k;
+    }
+    return { rows, branch, hot };
+  }
+
+  function renderLineage() {
+    if (!lineageEl) return;
+    const recs = sim.state.lineage;
+    let muts = 0, dead = 0;
+    for (const r of recs) { muts += r.mutations; if (r.died !== null) dead++; }
+    const sig = `${recs.length}:${muts}:${dead}:${colonies.length}`;
+    if (sig === lineageSig) return;
+    lineageSig = sig;
+
+    const { rows, branch, hot } = lineageTree();
+    const peak = Math.max(1, ...rows.map(({ r }) => branch.get(r.id)));
+
+    if (lineageSummaryEl) {
+      const hottest = hot && branch.get(hot.id) ? ` • hottest branch ${hot.id}` : "";
+      lineageSummaryEl.textContent = `${recs.length} founded • ${dead} collapsed${hottest}`;
+    }
+
+    lineageEl.innerHTML = rows.map(({ r, depth }) => {
+      const alive = r.died === null;
+      const idx = alive ? colonies.findIndex((c) => c.id === r.id) : -1;
+      const name = idx !== -1 ? `#${idx + 1} • ${r.id}` : r.id;
+      const when = `founded ${simClock(r.born)}${r.bornAt ? ` @ ${fmt(r.bornAt)} MC` : ""}`;
+      const fate = alive ? "" : ` • ☠ ${simClock(r.died)}`;
+      const rare = r.rare ? ` • ${r.rare} prism` : "";
+      const b = branch.get(r.id);
+      return `<div class="lineRow${alive ? "" : " dead"}${hot && hot.id === r.id && b ? " hot" : ""}" data-colony="${escapeHtml(r.id)}" style="--depth:${depth}">` +
+        `<span class="swatch" style="background:hsl(${Math.round(r.hue)},95%,65%)"></span>` +
+        `<b>${escapeHtml(name)}</b> <span class="dim">${when}${fate}</span>` +
+        `<div class="lineStats"><span class="branchBar"><i style="width:${(b / peak) * 100}%"></i></span>` +
+        `<span class="dim">${r.mutations} own • ${b} branch${rare}</span></div></div>`;
+    }).join("") || `<div class="eventRow"><span class="dim">No colonies yet…</span></div>`;
+  }
+
+  lineageEl?.addEventListener("click", (e) => {
+    const row = e.target.closest(".lineRow");
+    if (!row) return;
+    const idx = colonies.findIndex((c) => c.id === row.dataset.colony);
+    if (idx === -1) {
+      setToast(`Colony ${row.dataset.colony} collapsed`, 1200);
+      return;
+    }
+    sim.select(idx);
+    openInspector("colony", colonies[idx].id);
+  });
+
+  function followWorm(dt) {
+    const hit = sim.findWorm(followId);
+    if (!hit) {
+      followId = null;
+      setToast("Followed worm is gone", 1400);
+      return;
+    }
+    const head = hit.w.segs[0];
+    const k = reducedMotion ? 1 : 1 - Math.pow(0.82, dt * 60);
+    camX = lerp(camX, -head.x, k);
+    camY = lerp(camY, -head.y, k);
+  }
+
+  inspFollowBtn?.addEventListener("click", () => {
+    if (!inspect) return;
+    if (inspect.kind === "worm") {
+      followId = followId === inspect.id ? null : inspect.id;
+      if (followId) setFocus(false);
+    } else {
+      const idx = colonies.findIndex((c) => c.id === inspect.id);
+      if (idx === -1) return;
+      const wasFollowing = focusOn && sim.state.selected === idx && !followId;
+      followId = null;
+      sim.select(idx);
+      setFocus(!wasFollowing);
+    }
+    renderInspector();
+    uiBlip(260);
+  });
+  $("inspClose")?.addEventListener("click", () => closeInspector());
+
+  // ---------- Clip recording ----------
+  // WebM clips of the canvas (plus the sound cues). The instant replay keeps
+  // staggered recorders running so one of them always covers the last REPLAY_SECS.
+  const CLIP_LENGTHS = [10, 30, 60];
+  const CLIP_FPS = 30;
+  const REPLAY_SECS = 15;
+  const canRecord = typeof MediaRecorder !== "undefined" && typeof canvas.captureStream === "function";
+  const clipMime = canRecord
+    ? ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"].find((m) => MediaRecorder.isTypeSupported(m)) || ""
+    : "";
+  const recBadge = $("recBadge");
+  let clipLen = 30;
+  let clipAudio = true;
+  let recDest = null;
+  let recording = null; // { rec, started, timer }
+  let replay = []; // { rec, started, keep }, oldest first
+  let replayTimer = null;
+  let recBadgeText = "";
+
+  function clipStream() {
+    const stream = canvas.captureStream(CLIP_FPS);
+    if (clipAudio && audioCtx && masterBus) {
+      if (!recDest) {
+        recDest = audioCtx.createMediaStreamDestination();
+        masterBus.connect(recDest);
+      }
+      for (const t of recDest.stream.getAudioTracks()) stream.addTrack(t);
+    }
+    return stream;
+  }
+
+  function startClip(onDone) {
+    const stream = clipStream();
+    const chunks = [];
+    const rec = new MediaRecorder(stream, clipMime ? { mimeType: clipMime } : undefined);
+    rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    rec.onstop = () => {
+      // the audio track is shared between recorders, only the canvas track is ours
+      for (const t of stream.getVideoTracks()) t.stop();
+      onDone(new Blob(chunks, { type: rec.mimeType || "video/webm" }));
+    };
+    rec.start(1000);
+    return { rec, started: performance.now() };
+  }
+
+  const clipName = (tag) => `worm_colony_${primary.sim.seed}_${tag}_${new Date().toISOString().replace(/[:.]/g, "-")}.webm`;
+
+  function startRecording() {
+    if (!canRecord) {
+      setToast("Recording not supported in this browser", 1600);
+      return;
+    }
+    ensureAudio();
+    try {
+      recording = startClip((blob) => {
+        downloadBlob(blob, clipName("clip"));
+        setToast("Clip saved", 1400);
+      });
+    } catch {
+      recording = null;
+      setToast("Recording failed to start", 1600);
+      return;
+    }
+    recording.timer = setTimeout(stopRecording, clipLen * 1000);
+    setToast(`● Recording (max ${clipLen}s)`, 1200);
+    updateRecUi();
+  }
+
+  function stopRecording() {
+    if (!recording) return;
+    clearTimeout(recording.timer);
+    if (recording.rec.state !== "inactive") recording.rec.stop();
+    recording = null;
+    updateRecUi();
+  }
+
+  function startSegment() {
+    const seg = startClip((blob) => {
+      if (!seg.keep) return;
+      // segments run up to 1.5 windows; anything over REPLAY_SECS is cut from the front
+      const secs = (seg.stopped - seg.started) / 1000;
+      const skip = secs - REPLAY_SECS;
+      const save = (out) => {
+        downloadBlob(out, clipName("replay"));
+        setToast(`Replay saved • last ${Math.round(Math.min(secs, REPLAY_SECS))}s`, 1400);
+      };
+      if (skip < 0.5) save(blob);
+      else {
+        setToast("Trimming replay…", REPLAY_SECS * 1000);
+        trimClip(blob, skip, save);
+      }
+    });
+    seg.keep = false;
+    replay.push(seg);
+  }
+
+  // MediaRecorder output can't be cut, so a clip is trimmed by playing it back
+  // off-screen and recording it again from `skip` seconds in. Any failure hands
+  // back the untrimmed clip.
+  function trimClip(blob, skip, onDone) {
+    const url = URL.createObjectURL(blob);
+    const video = document.createElement("video");
+    let rec = null;
+    let done = false;
+    const finish = (out) => {
+      if (done) return;
+      done = true;
+      video.pause();
+      video.removeAttribute("src");
+      URL.revokeObjectURL(url);
+      onDone(out);
+    };
+
+    // the clip's sound goes to the recorder only, not the speakers
+    let audio = null;
+    if (audioCtx) {
+      try {
+        audio = audioCtx.createMediaStreamDestination();
+        audioCtx.createMediaElementSource(video).connect(audio);
+      } catch {
+        audio = null;
+      }
+    }
+    video.muted = !audio;
+    video.playsInline = true;
+    video.onerror = () => finish(blob);
+    video.onended = () => {
+      if (rec && rec.state !== "inactive") rec.stop();
+      else finish(blob);
+    };
+    video.src = url;
+
+    video.play().then(() => setTimeout(() => {
+      const capture = video.captureStream || video.mozCaptureStream;
+      if (done || video.ended || !capture) return;
+      try {
+        const tracks = [...capture.call(video, CLIP_FPS).getVideoTracks(), ...(audio ? audio.stream.getAudioTracks() : [])];
+        const chunks = [];
+        rec = new MediaRecorder(new MediaStream(tracks), clipMime ? { mimeType: clipMime } : undefined);
+        rec.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+        rec.onstop = () => finish(chunks.length ? new Blob(chunks, { type: rec.mimeType || "video/webm" }) : blob);
+        rec.start(1000);
+      } catch {
+        finish(blob);
+      }
+    }, skip * 1000)).catch(() => finish(blob));
+  }
+
+  // a new segment every half window; each lives 1.5 windows, so the oldest is always >= REPLAY_SECS once warm
+  function cycleReplay() {
+    const now = performance.now();
+    while (replay.length && now - replay[0].started >= REPLAY_SECS * 1250) replay.shift().rec.stop();
+    startSegment();
+  }
+
+  function setReplay(on) {
+    if (on && !canRecord) {
+      setToast("Recording not supported in this browser", 1600);
+      return;
+    }
+    clearInterval(replayTimer);
+    replayTimer = null;
+    for (const seg of replay) if (seg.rec.state !== "inactive") seg.rec.stop();
+    replay = [];
+    if (on) {
+      ensureAudio();
+      try {
+        startSegment();
+        replayTimer = setInterval(cycleReplay, REPLAY_SECS * 500);
+      } catch {
+        setToast("Recording failed to start", 1600);
+      }
+    }
+    updateRecUi();
+  }
+
+  function saveReplay() {
+    if (!replayTimer || !replay.length) {
+      setToast("Turn Replay on first", 1400);
+      return;
+    }
+    const seg = replay.shift();
+    seg.keep = true;
+    seg.stopped = performance.now();
+    seg.rec.stop();
+    if (!replay.length) startSegment();
+  }
+
+  function updateRecUi() {
+    const recBtn = $("recordBtn");
+    if (recBtn) {
+      recBtn.textContent = recording ? "■ Stop Recording" : "● Record";
+      recBtn.classList.toggle("recording", !!recording);
+    }
+    const replayBtn = $("replayBtn");
+    if (replayBtn) replayBtn.textContent = `Replay: ${replayTimer ? "On" : "Off"}`;
+    updateRecBadge();
+  }
+
+  function updateRecBadge() {
+    if (!recBadge) return;
+    let text = "";
+    if (recording) {
+      const t = Math.floor((performance.now() - recording.started) / 1000);
+      text = `● REC ${simClock(t)} / ${simClock(clipLen)}`;
+    } else if (replayTimer) {
+      text = `⟲ REPLAY ${REPLAY_SECS}s`;
+    }
+    if (text === recBadgeText) return;
+    recBadgeText = text;
+    recBadge.textContent = text;
+    recBadge.classList.toggle("on", !!text);
+    recBadge.classList.toggle("live", !!recording);
+  }
+
+  // ---------- Poster ----------
+  // re-renders the world offscreen at print size, framed on every colony, then
+  // stamps the brand, ticker, stats and time over it
+  const POSTER_SIZES = [
+    { name: "4K", w: 3840, h: 2160 },
+    { name: "Square", w: 2160, h: 2160 },
+    { name: "Story", w: 2160, h: 3840 },
+  ];
+  const POSTER_FONT = "ui-sans-serif, system-ui, -apple-system, Inter";
+  let posterSize = POSTER_SIZES[0];
+  let posterLogo = null; // CORS-clean copy of the header logo; the poster skips it until it loads
+
+  function loadPosterLogo() {
+    const src = $("brandLogo")?.src;
+    if (!src) return;
+    const img = new Image();
+    img.crossOrigin = "anonymous";
+    img.onload = () => { posterLogo = img; };
+    img.src = src;
+  }
+
+  function drawPosterOverlay() {
+    const st = sim.state;
+    const pad = 36;
+    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
+    ctx.textBaseline = "top";
+
+    let x = pad;
+    if (posterLogo) {
+      ctx.drawImage(posterLogo, pad, pad, 72, 72);
+      x += 88;
+    }
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(240,245,255,.95)";
+    ctx.font = `950 34px ${POSTER_FONT}`;
+    ctx.fillText("Worm Colony", x, pad + 4);
+    ctx.fillStyle = "#2cffc3";
+    ctx.font = `900 20px ${POSTER_FONT}`;
+    ctx.fillText(`${active.label} • LIVE COLONY`, x, pad + 46);
+
+    ctx.textAlign = "right";
+    ctx.fillStyle = "rgba(200,210,235,.80)";
+    ctx.font = `800 18px ${POSTER_FONT}`;
+    ctx.fillText(new Date().toLocaleString(), W - pad, pad + 4);
+    ctx.fillText(`Seed ${primary.sim.seed}`, W - pad, pad + 30);
+
+    const stats = [
+      ["Buyers", String(st.buyers)],
+      ["Volume", fmt(st.volume)],
+      ["M Cap", fmt(st.mcap)],
+      ["Colonies", String(colonies.length)],
+      ["Worms", String(sim.wormCount())],
+    ];
+    const bandH = 110;
+    const y0 = H - bandH - pad;
+    ctx.fillStyle = "rgba(10,12,20,.72)";
+    ctx.strokeStyle = "rgba(255,255,255,.16)";
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    if (ctx.roundRect) ctx.roundRect(pad, y0, W - pad * 2, bandH, 22);
+    else ctx.rect(pad, y0, W - pad * 2, bandH);
+    ctx.fill();
+    ctx.stroke();
+
+    const colW = (W - pad * 2) / stats.length;
+    ctx.textAlign = "center";
+    stats.forEach(([label, value], i) => {
+      const cx = pad + colW * (i + 0.5);
+      ctx.fillStyle = "rgba(200,210,235,.68)";
+      ctx.font = `800 16px ${POSTER_FONT}`;
+      ctx.fillText(label, cx, y0 + 24);
+      ctx.fillStyle = label === "M Cap" ? "#2cffc3" : "rgba(240,245,255,.95)";
+      ctx.font = `950 30px ${POSTER_FONT}`;
+      ctx.fillText(value, cx, y0 + 50);
+    });
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+  }
+
+  function renderPoster() {
+    const { w, h } = posterSize;
+    const out = document.createElement("canvas");
+    out.width = w;
+    out.height = h;
+    const pctx = out.getContext("2d");
+    if (!pctx) return null;
+
+    // lay out as if on a 1080p-class screen, then scale up, so line widths and text keep their weight
+    const dpr = Math.min(w, h) / 1080;
+    const view = { ctx, W, H, DPR, camX, camY, zoom, miniMapOn };
+    ctx = pctx;
+    W = w / dpr;
+    H = h / dpr;
+    DPR = dpr;
+    miniMapOn = false;
+    try {
+      zoomOutToFitAll(0.1, allColonies());
+      render(performance.now(), interp);
+      drawPosterOverlay();
+    } finally {
+      ({ ctx, W, H, DPR, camX, camY, zoom, miniMapOn } = view);
+    }
+    return out;
+  }
+
+  function exportPoster() {
+    const out = renderPoster();
+    if (!out) {
+      setToast("Poster failed — canvas unavailable", 1600);
+      return;
+    }
+    const name = `worm_colony_${primary.sim.seed}_${posterSize.name.toLowerCase()}.png`;
+    try {
+      out.toBlob((blob) => {
+        if (!blob) {
+          setToast("Poster failed — image too large for this device", 1800);
+          return;
+        }
+        downloadBlob(blob, name);
+        setToast(`Poster saved • ${posterSize.w}×${posterSize.h}`, 1400);
+      }, "image/png");
+    } catch {
+      setToast("Poster blocked — screenshot instead", 1600);
+    }
+  }
+
+  // ---------- Settings ----------
+  // one input per config field (two for ranges); every change is applied live
+  const settingsCard = $("settingsCard");
+  const settingsGrid = $("settingsGrid");
+  const settingsErrors = $("settingsErrors");
+
+  function buildSettings() {
+    if (!settingsGrid) return;
+    settingsGrid.innerHTML = Sim.CONFIG_FIELDS.map((f) => {
+      const step = f.int ? "1" : "any";
+      const input = (part) =>
+        `<input type="number" step="${step}" min="${f.min}" max="${f.max}" data-key="${f.key}"${part === null ? "" : ` data-part="${part}"`} />`;
+      return `<label class="setField"><span class="label">${escapeHtml(f.label)}</span>` +
+        `<span class="setInputs">${f.range ? input(0) + "<span class=\"dim\">–</span>" + input(1) : input(null)}</span></label>`;
+    }).join("");
+    fillSettings();
+  }
+
+  function fillSettings() {
+    if (!settingsGrid) return;
+    for (const el of settingsGrid.querySelectorAll("input[data-key]")) {
+      const v = Sim.getPath(sim.config, el.dataset.key);
+      el.value = String(el.dataset.part === undefined ? v : v[+el.dataset.part]);
+      el.classList.remove("bad");
+    }
+    showConfigErrors([]);
+  }
+
+  function readSettings() {
+    const out = {};
+    for (const el of settingsGrid.querySelectorAll("input[data-key]")) {
+      const key = el.dataset.key;
+      if (el.dataset.part === undefined) {
+        Sim.setPath(out, key, el.value);
+      } else {
+        const pair = Sim.getPath(out, key) || [];
+        pair[+el.dataset.part] = el.value;
+        Sim.setPath(out, key, pair);
+      }
+    }
+    return out;
+  }
+
+  function showConfigErrors(errors) {
+    if (settingsErrors) settingsErrors.textContent = errors.length ? `Kept defaults for ${errors.join(" • ")}` : "";
+    if (!settingsGrid) return;
+    const bad = new Set(errors.map((e) => e.split(":")[0]));
+    for (const el of settingsGrid.querySelectorAll("input[data-key]")) el.classList.toggle("bad", bad.has(el.dataset.key));
+  }
+
+  function applySettings() {
+    const raw = readSettings();
+    const errors = sim.setConfig(raw);
+    showConfigErrors(errors);
+    if (errors.length) return;
+    try { localStorage.setItem(configKey(active), JSON.stringify(sim.config)); } catch { /* storage full or blocked */ }
+    setToast("Settings applied", 900);
+  }
+
+  function reportConfigErrors(errors, from) {
+    if (!errors.length) return;
+    addEvent("EVENT", `Config: ${errors.length} bad value${errors.length > 1 ? "s" : ""} in ${from} • ${errors[0]}`);
+    showConfigErrors(errors);
+  }
+
+  function loadConfigFile() {
+    const url = (params.get("config") || "").trim();
+    if (!url) return;
+    fetch(url, { cache: "no-store" })
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.json();
+      })
+      .then((data) => {
+        fileConfig = data;
+        const errors = Sim.normalizeConfig(data).errors;
+        for (const t of tokens) t.sim.setConfig(mergeConfig(loadStoredConfig(t), baseConfigFor(t)));
+        fillSettings();
+        reportConfigErrors(errors, "config file");
+        addEvent("EVENT", `Config loaded • ${url}`);
+      })
+      .catch(() => addEvent("EVENT", `Config file failed to load • ${url}`));
+  }
+
+  settingsGrid?.addEventListener("change", () => applySettings());
+
+  $("settingsReset")?.addEventListener("click", () => {
+    try { localStorage.removeItem(configKey(active)); } catch { /* ignore */ }
+    sim.setConfig(baseConfigFor(active));
+    fillSettings();
+    setToast("Settings reset", 900);
+  });
 
-  function maybeSpawnWorms(dt) {
-    const g = growthScore();
-    const target = clamp(Math.floor(3 + g * 2.0), 3, 96);
-    const total = colonies.reduce((a, c) => a + c.worms.length, 0);
-    if (total >= target) return;
+  $("settingsExport")?.addEventListener("click", () => {
+    downloadBlob(new Blob([JSON.stringify(sim.config, null, 2)], { type: "application/json" }), "worm_colony_config.json");
+    setToast("Config exported");
+  });
 
-    spawnTimer += dt;
-    const rate = clamp(1.25 - g * 0.04, 0.16, 1.25);
+  // ---------- Mixer ----------
+  // one slider per bus; levels are saved in this browser
+  const mixerCard = $("mixerCard");
+  const mixerGrid = $("mixerGrid");
+  const mixerMood = $("mixerMood");
+
+  function buildMixer() {
+    if (!mixerGrid) return;
+    mixerGrid.innerHTML = MIXER_CHANNELS.map((ch) =>
+      `<label class="setField"><span class="label">${escapeHtml(ch.label)}</span>` +
+      `<span class="setInputs"><input type="range" min="0" max="100" step="1" data-mix="${ch.key}" />` +
+      `<span class="mixValue" data-mix-value="${ch.key}"></span></span></label>`
+    ).join("");
+    fillMixer();
+  }
 
-    if (spawnTimer >= rate) {
-      spawnTimer = 0;
-      const c = colonies[selected] || colonies[0];
-      c.worms.push(newWorm(c, Math.random() < 0.18));
-      if (Math.random() < 0.35) shockwave(c, 0.6);
-      addEvent("HATCH", "New worm hatched");
+  function fillMixer() {
+    if (!mixerGrid) return;
+    for (const input of mixerGrid.querySelectorAll("input[data-mix]")) {
+      input.value = String(Math.round(mixer[input.dataset.mix] * 100));
+    }
+    for (const span of mixerGrid.querySelectorAll("[data-mix-value]")) {
+      span.textContent = `${Math.round(mixer[span.dataset.mixValue] * 100)}%`;
     }
   }
 
+  mixerGrid?.addEventListener("input", (e) => {
+    const key = e.target?.dataset?.mix;
+    if (!key) return;
+    mixer[key] = clamp(Number(e.target.value) / 100, 0, 1);
+    fillMixer();
+    applyMixer();
+    saveMixer();
+  });
+
   // ---------- Controls ----------
+  // the manual buttons are the "demo" source and keep working alongside a live feed
   function bind(action, fn) {
     const btn = document.querySelector(`button[data-action="${action}"]`);
     if (btn) btn.addEventListener("click", fn);
   }
 
-  bind("feed", () => { volume += rand(20, 90); mcap += rand(120, 460); });
-  bind("smallBuy", () => { buyers += 1; volume += rand(180, 900); mcap += rand(900, 3200); });
-  bind("whaleBuy", () => { buyers += randi(2, 5); volume += rand(2500, 8500); mcap += rand(9000, 22000); shockwave(colonies[0], 1.2); });
-  bind("sell", () => { volume = Math.max(0, volume - rand(600, 2600)); mcap = Math.max(0, mcap - rand(2200, 9000)); });
-  bind("storm", () => { volume += rand(5000, 18000); mcap += rand(2000, 8000); shockwave(colonies[0], 1.0); });
-  bind("mutate", () => mutateRandom());
+  for (const name of Object.keys(sim.actions)) bind(name, () => sim.actions[name]());
 
-  bind("focus", () => {
-    focusOn = !focusOn;
+  function setFocus(on) {
+    focusOn = on;
     const btn = $("focusBtn");
     if (btn) btn.textContent = `Focus: ${focusOn ? "On" : "Off"}`;
-    if (focusOn) centerOnSelected(false);
-    blip(260, 0.05, "sine", 0.03);
+    if (focusOn) {
+      followId = null;
+      centerOnSelected(false);
+    }
+  }
+
+  bind("focus", () => {
+    setFocus(!focusOn);
+    uiBlip(260);
   });
 
-  bind("zoomIn", () => { zoom = clamp(zoom * 1.12, 0.55, 2.6); });
-  bind("zoomOut", () => { zoom = clamp(zoom * 0.88, 0.55, 2.6); });
+  bind("zoomIn", () => zoomAt(zoom * 1.12));
+  bind("zoomOut", () => zoomAt(zoom * 0.88));
 
   bind("labels", () => {
     labelsOn = !labelsOn;
     const btn = $("labelsBtn");
     if (btn) btn.textContent = `Labels: ${labelsOn ? "On" : "Off"}`;
-    blip(260, 0.05, "sine", 0.03);
+    uiBlip(260);
   });
 
   bind("minimap", () => {
@@ -757,18 +2569,43 @@
     const btn = $("minimapBtn");
     if (btn) btn.textContent = `MiniMap: ${miniMapOn ? "On" : "Off"}`;
     if (miniMap) miniMap.classList.toggle("on", miniMapOn);
-    blip(300, 0.05, "sine", 0.03);
+    uiBlip();
   });
 
   bind("sound", () => {
-    audioOn = !audioOn;
+    mixer.on = !mixer.on;
     const btn = $("soundBtn");
-    if (btn) btn.textContent = `Sound: ${audioOn ? "On" : "Off"}`;
-    if (audioOn) ensureAudio();
-    blip(340, 0.05, "triangle", 0.03);
+    if (btn) btn.textContent = `Sound: ${mixer.on ? "On" : "Off"}`;
+    saveMixer();
+    if (mixer.on) ensureAudio();
+    applyMixer();
+    uiBlip(340, "triangle");
+  });
+
+  function setReducedMotion(on) {
+    reducedMotion = on;
+    const btn = $("motionBtn");
+    if (btn) btn.textContent = `Motion: ${reducedMotion ? "Reduced" : "Full"}`;
+    document.body.classList.toggle("reducedMotion", reducedMotion);
+    if (reducedMotion) {
+      camAnim = null;
+      panVX = panVY = 0;
+    }
+  }
+
+  bind("motion", () => {
+    setReducedMotion(!reducedMotion);
+    setToast(reducedMotion ? "Reduced motion" : "Full motion", 1000);
+    uiBlip(260);
   });
+  motionQuery?.addEventListener?.("change", (e) => setReducedMotion(e.matches));
+  setReducedMotion(reducedMotion);
 
   bind("capture", () => {
+    if (renderWorker) {
+      renderWorker.post({ type: "capture" });
+      return;
+    }
     try {
       const url = canvas.toDataURL("image/png");
       const a = document.createElement("a");
@@ -781,315 +2618,293 @@
     }
   });
 
-  bind("reset", () => location.reload());
-
-  // ---------- Stats ----------
-  function updateStats() {
-    if (elBuyers) elBuyers.textContent = String(buyers);
-    if (elVolume) elVolume.textContent = fmt(volume);
-    if (elMcap) elMcap.textContent = fmt(mcap);
-    if (elColonies) elColonies.textContent = String(colonies.length);
-    if (elWorms) {
-      const total = colonies.reduce((a, c) => a + c.worms.length, 0);
-      elWorms.textContent = String(total);
-    }
-  }
-
-  // ---------- Rendering ----------
-  function aura(x, y, r, hue, a) {
-    const g = ctx.createRadialGradient(x, y, 0, x, y, r);
-    g.addColorStop(0, `hsla(${hue},95%,65%,${a})`);
-    g.addColorStop(0.55, `hsla(${(hue + 30) % 360},95%,62%,${a * 0.55})`);
-    g.addColorStop(1, `hsla(${hue},95%,65%,0)`);
-    ctx.fillStyle = g;
-    ctx.beginPath();
-    ctx.arc(x, y, r, 0, Math.PI * 2);
-    ctx.fill();
-  }
+  bind("record", () => (recording ? stopRecording() : startRecording()));
+  bind("saveReplay", () => saveReplay());
+  bind("replay", () => setReplay(!replayTimer));
 
-  function bossAura(x, y, baseR, hue, time) {
-    const pulse = 0.85 + 0.15 * Math.sin(time * 0.004);
-    const r1 = baseR * 1.45 * pulse;
-    const r2 = baseR * 2.10 * (0.92 + 0.08 * Math.sin(time * 0.002 + 2.0));
+  bind("clipLength", () => {
+    clipLen = CLIP_LENGTHS[(CLIP_LENGTHS.indexOf(clipLen) + 1) % CLIP_LENGTHS.length];
+    const btn = $("clipLenBtn");
+    if (btn) btn.textContent = `Clip: ${clipLen}s`;
+    uiBlip();
+  });
 
-    let g = ctx.createRadialGradient(x, y, 0, x, y, r2);
-    g.addColorStop(0, `hsla(${hue}, 98%, 70%, 0.18)`);
-    g.addColorStop(0.35, `hsla(${(hue + 40) % 360}, 98%, 65%, 0.12)`);
-    g.addColorStop(1, `hsla(${hue}, 98%, 60%, 0)`);
-    ctx.fillStyle = g;
-    ctx.beginPath();
-    ctx.arc(x, y, r2, 0, Math.PI * 2);
-    ctx.fill();
+  bind("clipAudio", () => {
+    clipAudio = !clipAudio;
+    const btn = $("clipAudioBtn");
+    if (btn) btn.textContent = `Clip Audio: ${clipAudio ? "On" : "Off"}`;
+    uiBlip();
+  });
 
-    g = ctx.createRadialGradient(x, y, 0, x, y, r1);
-    g.addColorStop(0, `hsla(${hue}, 98%, 70%, 0.24)`);
-    g.addColorStop(0.55, `hsla(${hue}, 98%, 65%, 0.10)`);
-    g.addColorStop(1, `hsla(${hue}, 98%, 60%, 0)`);
-    ctx.fillStyle = g;
-    ctx.beginPath();
-    ctx.arc(x, y, r1, 0, Math.PI * 2);
-    ctx.fill();
+  bind("poster", () => syncMirrors(exportPoster));
+  bind("posterSize", () => {
+    posterSize = POSTER_SIZES[(POSTER_SIZES.indexOf(posterSize) + 1) % POSTER_SIZES.length];
+    const btn = $("posterSizeBtn");
+    if (btn) btn.textContent = `Poster: ${posterSize.name}`;
+    uiBlip();
+  });
 
-    ctx.strokeStyle = `hsla(${hue}, 98%, 72%, 0.50)`;
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.arc(x, y, baseR * 1.25 * pulse, 0, Math.PI * 2);
-    ctx.stroke();
-  }
+  bind("mixer", () => {
+    if (!mixerCard) return;
+    mixerCard.hidden = !mixerCard.hidden;
+    const btn = $("mixerBtn");
+    if (btn) btn.textContent = `Mixer: ${mixerCard.hidden ? "Off" : "On"}`;
+    if (!mixerCard.hidden) {
+      ensureAudio();
+      fillMixer();
+      if (mixerMood) mixerMood.textContent = moodLabel();
+    }
+    uiBlip();
+  });
 
-  function irregularBlob(col, time) {
-    const baseHue = col.dna.hue;
+  bind("renderer", () => {
+    const from = rendererMode;
+    setRenderer(from === "webgl" ? "canvas" : "webgl");
+    if (rendererMode !== from && renderMs[from]) {
+      const name = (m) => (m === "webgl" ? "WebGL" : "Canvas 2D");
+      setToast(`${name(rendererMode)} • ${name(from)} took ${renderMs[from].toFixed(1)} ms/frame`, 1800);
+    }
+    uiBlip();
+  });
 
-    if (!isInteracting) {
-      for (let i = 0; i < col.nodes.length; i++) {
-        const n = col.nodes[i];
-        const x = col.x + n.ox + Math.sin(time * 0.001 * n.sp + n.ph) * 12;
-        const y = col.y + n.oy + Math.cos(time * 0.001 * n.sp + n.ph) * 12;
+  bind("quality", () => {
+    const modes = ["auto", ...QUALITY_TIERS];
+    setQualityMode(modes[(modes.indexOf(qualityMode) + 1) % modes.length]);
+    setToast(`Quality: ${qualityLabel()}`, 1000);
+    uiBlip();
+  });
 
-        aura(x, y, n.r * 1.25, (baseHue + i * 16) % 360, 0.14);
-        aura(x, y, n.r * 0.85, (baseHue + i * 21 + 40) % 360, 0.10);
-      }
-      aura(col.x, col.y, 160 * col.dna.aura, baseHue, 0.10);
-      aura(col.x, col.y, 110 * col.dna.aura, (baseHue + 40) % 360, 0.08);
-    } else {
-      aura(col.x, col.y, 145 * col.dna.aura, baseHue, 0.08);
-    }
+  bind("achievements", () => {
+    if (!achieveCard) return;
+    achieveCard.hidden = !achieveCard.hidden;
+    const btn = $("achieveBtn");
+    if (btn) btn.textContent = `Achievements: ${achieveCard.hidden ? "Off" : "On"}`;
+    if (!achieveCard.hidden) fillAchievements();
+    uiBlip();
+  });
 
-    const R = 135;
-    ctx.strokeStyle = `hsla(${baseHue}, 90%, 65%, .28)`;
-    ctx.lineWidth = 1.6;
-    ctx.beginPath();
-    for (let a = 0; a <= Math.PI * 2 + 0.001; a += Math.PI / 20) {
-      const wob =
-        Math.sin(a * 3 + time * 0.0016) * 10 +
-        Math.sin(a * 7 - time * 0.0010) * 6;
-      const rr = R + wob * col.dna.chaos;
-      const px = col.x + Math.cos(a) * rr;
-      const py = col.y + Math.sin(a) * rr;
-      if (a === 0) ctx.moveTo(px, py);
-      else ctx.lineTo(px, py);
-    }
-    ctx.stroke();
-  }
+  bind("settings", () => {
+    if (!settingsCard) return;
+    settingsCard.hidden = !settingsCard.hidden;
+    const btn = $("settingsBtn");
+    if (btn) btn.textContent = `Settings: ${settingsCard.hidden ? "Off" : "On"}`;
+    if (!settingsCard.hidden) fillSettings();
+    uiBlip();
+  });
 
-  function drawWorm(w, time) {
-    const pts = w.segs;
-    if (!pts || pts.length < 2) return;
-    const head = pts[0];
+  bind("save", () => saveByHand());
+  bind("export", () => syncMirrors(exportSave));
 
-    if (w.isBoss && !isInteracting) {
-      ctx.save();
-      ctx.globalCompositeOperation = "lighter";
-      bossAura(head.x, head.y, 120, w.hue, time);
-      ctx.restore();
-    }
+  const importFile = $("importFile");
+  bind("import", () => importFile?.click());
+  importFile?.addEventListener("change", () => {
+    importSave(importFile.files?.[0]);
+    importFile.value = "";
+  });
 
-    if (!isInteracting) {
-      ctx.globalCompositeOperation = "lighter";
-      ctx.strokeStyle = `hsla(${w.hue}, 92%, 62%, ${w.isBoss ? 0.36 : 0.14})`;
-      ctx.lineWidth = w.width + (w.isBoss ? 14 : 6);
-      ctx.lineCap = "round";
-      ctx.lineJoin = "round";
-      ctx.beginPath();
-      ctx.moveTo(pts[0].x, pts[0].y);
-      for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-      ctx.stroke();
-    }
+  bind("newColony", () => {
+    if (!confirm("Start a new colony? The current colony and its save will be lost.")) return;
+    newWorld();
+  });
 
-    ctx.globalCompositeOperation = "source-over";
-    ctx.strokeStyle = `hsla(${w.hue}, 95%, 65%, ${w.isBoss ? 0.99 : 0.9})`;
-    ctx.lineWidth = w.width + (w.isBoss ? 1.2 : 0);
-    ctx.lineCap = "round";
-    ctx.lineJoin = "round";
-    ctx.beginPath();
-    ctx.moveTo(pts[0].x, pts[0].y);
-    for (let i = 1; i < pts.length; i++) ctx.lineTo(pts[i].x, pts[i].y);
-    ctx.stroke();
+  // ---------- Token switcher ----------
+  const tokenBar = $("tokenBar");
+
+  function renderTokenBar() {
+    if (!tokenBar) return;
+    tokenBar.hidden = !multi;
+    if (!multi) return;
+    tokenBar.innerHTML = tokens.map((t) =>
+      `<button class="chip${t === active ? " active" : ""}" data-token="${escapeHtml(t.ticker)}">` +
+      `<span class="swatch" style="background:hsl(${Math.round(t.hue)},95%,65%)"></span>${escapeHtml(t.label)}</button>`
+    ).join("") + `<button class="chip" data-token="">All</button>`;
+  }
 
-    if (!isInteracting) {
-      const step = w.isBoss ? 2 : 4;
-      for (let i = 0; i < pts.length; i += step) {
-        const p = pts[i];
-        const rr = Math.max(2.0, w.width * (w.isBoss ? 0.52 : 0.34));
-        ctx.fillStyle = `hsla(${(w.hue + 20) % 360}, 95%, 66%, ${w.isBoss ? 0.92 : 0.78})`;
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, rr, 0, Math.PI * 2);
-        ctx.fill();
-      }
-    }
+  function setActiveToken(t) {
+    if (t === active) return;
+    active = t;
+    sim = t.sim;
+    colonies = sim.state.colonies;
+    followId = null;
+    closeInspector();
+    lineageSig = "";
+    renderLineage();
+    fillSettings();
+    updateStats();
+    renderTokenBar();
+  }
 
-    if (w.limbs?.length) {
-      ctx.globalCompositeOperation = isInteracting ? "source-over" : "lighter";
-      for (const L of w.limbs) {
-        const at = clamp(L.at, 0, pts.length - 1);
-        const base = pts[at];
-
-        const baseAng =
-          (pts[at]?.a || 0) +
-          L.ang +
-          Math.sin(time * 0.002 * L.wob + w.phase) * (w.isBoss ? 0.55 : 0.35);
-
-        const lx = base.x + Math.cos(baseAng) * L.len * (w.isBoss ? 1.15 : 1);
-        const ly = base.y + Math.sin(baseAng) * L.len * (w.isBoss ? 1.15 : 1);
-
-        ctx.strokeStyle = `hsla(${(w.hue + 40) % 360}, 95%, 66%, ${isInteracting ? 0.30 : (w.isBoss ? 0.78 : 0.55)})`;
-        ctx.lineWidth = Math.max(2, w.width * (w.isBoss ? 0.55 : 0.35));
-        ctx.beginPath();
-        ctx.moveTo(base.x, base.y);
-        ctx.quadraticCurveTo(
-          base.x + Math.cos(baseAng) * (L.len * 0.55),
-          base.y + Math.sin(baseAng) * (L.len * 0.55),
-          lx, ly
-        );
-        ctx.stroke();
-      }
-      ctx.globalCompositeOperation = "source-over";
-    }
-
-    if (!isInteracting && w.isBoss) {
-      ctx.globalCompositeOperation = "lighter";
-      ctx.fillStyle = `hsla(${(w.hue + 160) % 360}, 100%, 70%, 0.95)`;
-      ctx.beginPath();
-      ctx.arc(head.x + Math.cos(head.a) * 6, head.y + Math.sin(head.a) * 6, w.width * 0.55, 0, Math.PI * 2);
-      ctx.fill();
-
-      ctx.fillStyle = `hsla(${(w.hue + 160) % 360}, 100%, 70%, 0.22)`;
-      ctx.beginPath();
-      ctx.arc(head.x, head.y, w.width * 2.8, 0, Math.PI * 2);
-      ctx.fill();
-      ctx.globalCompositeOperation = "source-over";
-    }
-  }
-
-  function drawTapRings() {
-    if (!tapRings.length) return;
-    ctx.strokeStyle = "rgba(255,255,255,.35)";
-    for (const r of tapRings) {
-      ctx.globalAlpha = r.a;
-      ctx.lineWidth = 2;
-      ctx.beginPath();
-      ctx.arc(r.x, r.y, r.r, 0, Math.PI * 2);
-      ctx.stroke();
-      r.r += 10;
-      r.a *= 0.78;
-    }
-    ctx.globalAlpha = 1;
-    for (let i = tapRings.length - 1; i >= 0; i--) {
-      if (tapRings[i].a < 0.05) tapRings.splice(i, 1);
-    }
-  }
-
-  function drawLabels() {
-    if (!labelsOn) return;
-    const alpha = clamp((zoom - 0.7) / 0.5, 0, 1);
-    if (alpha <= 0.01) return;
-
-    ctx.save();
-    ctx.globalAlpha = 0.78 * alpha;
-    ctx.font = "900 12px ui-sans-serif, system-ui, -apple-system, Inter";
-    ctx.fillStyle = "rgba(235,245,255,.86)";
-    ctx.strokeStyle = "rgba(0,0,0,.55)";
-    ctx.lineWidth = 4;
-
-    for (let i = 0; i < colonies.length; i++) {
-      const c = colonies[i];
-      const label = `#${i + 1} • ${c.id}`;
-      const x = c.x + 18;
-      const y = c.y - 18;
-      ctx.strokeText(label, x, y);
-      ctx.fillText(label, x, y);
-    }
-    ctx.restore();
-  }
-
-  // ---------- Worm behavior (fix “rush right”) ----------
-  function wormBehavior(col, w, time, dt) {
-    const head = w.segs[0];
-
-    const jitter = Math.sin(time * 0.002 + w.phase) * 0.10;
-    head.a += (Math.random() - 0.5) * w.turn + jitter;
-
-    const dx = col.x - head.x;
-    const dy = col.y - head.y;
-    const toward = Math.atan2(dy, dx);
-    const tang = toward + w.orbitDir * (Math.PI * 0.5);
-
-    let orbitMix = 0.08;
-    let steerMix = 0.10;
-
-    if (w.type === "DRIFTER") {
-      orbitMix = 0.10 * w.orbitBias;
-      steerMix = 0.08;
-    } else if (w.type === "ORBITER") {
-      orbitMix = 0.20 * w.orbitBias;
-      steerMix = 0.07;
+  tokenBar?.addEventListener("click", (e) => {
+    const btn = e.target.closest("button[data-token]");
+    if (!btn) return;
+    const t = tokens.find((x) => x.ticker === btn.dataset.token);
+    if (t) {
+      setActiveToken(t);
+      setFocus(false);
+      zoomOutToFitAll(MIN_ZOOM);
+      setToast(`${t.label} • ${fmt(t.sim.state.mcap)} MC`, 1200);
     } else {
-      orbitMix = 0.14 * w.orbitBias;
-      steerMix = 0.10;
+      setFocus(false);
+      zoomOutToFitAll(MIN_ZOOM, allColonies());
     }
+    uiBlip();
+  });
 
-    const d = Math.hypot(head.x - col.x, head.y - col.y);
-    const preferred = 150 * w.orbitTight + 60 * col.dna.aura;
-    const ringPull = clamp((d - preferred) / preferred, -1, 1);
+  // ---------- Stats ----------
+  function updateStats() {
+    const st = sim.state;
+    if (elBuyers) elBuyers.textContent = String(st.buyers);
+    if (elVolume) elVolume.textContent = fmt(st.volume);
+    if (elMcap) elMcap.textContent = fmt(st.mcap);
+    if (elColonies) elColonies.textContent = String(colonies.length);
+    if (elWorms) elWorms.textContent = String(sim.wormCount());
+  }
 
-    const towardBias = clamp(0.10 + ringPull * 0.10, 0.02, 0.22);
-    const tangBias = clamp(0.16 - ringPull * 0.10, 0.06, 0.30);
+  function updateSeed() {
+    if (elSeed) elSeed.textContent = primary.sim.seed;
+    const tokenList = params.get("tokens");
+    if (seedLink) seedLink.href = `?seed=${encodeURIComponent(primary.sim.seed)}${tokenList ? `&tokens=${encodeURIComponent(tokenList)}` : ""}`;
+  }
 
-    const desired =
-      lerpAngle(toward, tang, clamp(orbitMix + tangBias, 0, 0.55)) +
-      Math.sin(time * 0.0014 + w.phase) * (w.type === "HUNTER" ? 0.20 : 0.12);
+  // ---------- Rendering ----------
+  // the scene itself is render.js; the page decides the view and what goes in each frame
+  // sim positions are drawn between the last two fixed steps
+  let interp = 1;
+
+  // ---------- WebGL renderer ----------
+  // Same scene as the Canvas 2D path, drawn as a few batched passes into an offscreen
+  // GL canvas that is copied onto the page canvas; labels, tap rings and the minimap
+  // stay 2D, so clips, captures and posters work with either backend.
+  // ?renderer=canvas starts on Canvas 2D, anything else tries WebGL first.
+  const renderMs = { canvas: 0, webgl: 0 }; // smoothed cost per frame, for comparing the two
+  let rendererMode = (params.get("renderer") || "").toLowerCase() === "canvas" ? "canvas" : "webgl";
+  const scene = window.WormRender.createScene({
+    makeCanvas: () => document.createElement("canvas"),
+    onContextLost: () => glLost(),
+  });
 
-    head.a = lerpAngle(head.a, desired, clamp(steerMix + towardBias, 0.06, 0.28));
+  function glLost() {
+    setRenderer("canvas");
+    setToast("WebGL lost — back on Canvas 2D", 1600);
+  }
 
-    const boost = w.isBoss ? 1.8 : 1.0;
-    head.x += Math.cos(head.a) * w.speed * 2.05 * boost;
-    head.y += Math.sin(head.a) * w.speed * 2.05 * boost;
+  // the worker answers for its own canvas
+  const hasGL = () => (renderWorker ? renderWorker.gl : Boolean(scene.getGL()));
 
-    if (w.isBoss && bossDash.tLeft > 0) applyBossDash(dt);
+  function initBackground() {
+    scene.initBackground(primary.sim.seed);
+    renderWorker?.post({ type: "background", seed: primary.sim.seed });
+  }
 
-    const maxR = 330 + 60 * col.dna.aura;
-    if (d > maxR) {
-      const pull = (d - maxR) / maxR;
-      head.x = lerp(head.x, col.x, 0.05 + pull * 0.08);
-      head.y = lerp(head.y, col.y, 0.05 + pull * 0.08);
-      head.a = lerpAngle(head.a, toward + w.orbitDir * 0.8, 0.14);
+  function setRenderer(mode) {
+    if (mode === "webgl" && !hasGL()) {
+      setToast("WebGL unavailable — using Canvas 2D", 1600);
+      mode = "canvas";
     }
+    rendererMode = mode;
+    const btn = $("rendererBtn");
+    if (btn) btn.textContent = `Renderer: ${rendererMode === "webgl" ? "WebGL" : "Canvas"}`;
+  }
 
-    for (let i = 1; i < w.segs.length; i++) {
-      const prev = w.segs[i - 1];
-      const seg = w.segs[i];
+  // ---------- Quality ----------
+  // Low/Medium/High pick the canvas resolution, how much of the scene is drawn and the
+  // render rate (see QUALITY in render.js). Auto moves between them from the measured
+  // frame interval and the time the step + render work takes, and only after a few
+  // seconds either way, so one hitch or a quiet moment doesn't flip it. Each step down
+  // doubles the wait before trying the tier above again.
+  const QUALITY = window.WormRender.QUALITY;
+  const QUALITY_KEY = "wormColony:quality";
+  const QUALITY_TIERS = ["low", "medium", "high"];
+  const SLOW_FRAME_MS = 24; // under ~40 fps on screen
+  const SLOW_WORK_MS = 12;
+  const FAST_FRAME_MS = 18;
+  const FAST_WORK_MS = 5;
+  const SLOW_SECS = 2;
+  let qualityMode = loadQuality(); // "auto" or a tier
+  let qualityTier = qualityMode === "auto" ? "high" : qualityMode;
+  const perf = { frameMs: 16.7, workMs: 0, slow: 0, fast: 0, upAfter: 6 };
+  let workerPerfAt = 0;
+
+  function loadQuality() {
+    try {
+      const v = localStorage.getItem(QUALITY_KEY);
+      if (v === "auto" || QUALITY[v]) return v;
+    } catch { /* blocked: auto */ }
+    return "auto";
+  }
 
-      const vx = seg.x - prev.x;
-      const vy = seg.y - prev.y;
-      const ang = Math.atan2(vy, vx);
+  function governQuality(dt, frameMs, workMs) {
+    if (dt <= 0 || dt >= 0.25) return; // a paused tab or a clamped hitch says nothing
+    const k = 1 - Math.pow(0.1, dt);
+    perf.frameMs = lerp(perf.frameMs, frameMs, k);
+    perf.workMs = lerp(perf.workMs, workMs, k);
+    if (qualityMode !== "auto") return;
+
+    // slow frames only count when our own work is a real share of them (not a capped rAF)
+    const slow = perf.workMs > SLOW_WORK_MS || (perf.frameMs > SLOW_FRAME_MS && perf.workMs > perf.frameMs * 0.3);
+    const fast = perf.frameMs < FAST_FRAME_MS && perf.workMs < FAST_WORK_MS;
+    perf.slow = slow ? perf.slow + dt : 0;
+    perf.fast = fast ? perf.fast + dt : 0;
+
+    const i = QUALITY_TIERS.indexOf(qualityTier);
+    if (perf.slow > SLOW_SECS && i > 0) {
+      perf.upAfter = Math.min(48, perf.upAfter * 2);
+      setQualityTier(QUALITY_TIERS[i - 1]);
+    } else if (perf.fast > perf.upAfter && i < QUALITY_TIERS.length - 1) {
+      setQualityTier(QUALITY_TIERS[i + 1]);
+    }
+  }
 
-      const targetX = prev.x + Math.cos(ang) * seg.len;
-      const targetY = prev.y + Math.sin(ang) * seg.len;
+  function setQualityTier(tier) {
+    qualityTier = tier;
+    perf.slow = perf.fast = 0;
+    resizeCanvas();
+    updateQualityBtn();
+  }
 
-      seg.x = seg.x * 0.2 + targetX * 0.8;
-      seg.y = seg.y * 0.2 + targetY * 0.8;
-      seg.a = ang;
+  function setQualityMode(mode) {
+    qualityMode = mode;
+    try { localStorage.setItem(QUALITY_KEY, mode); } catch { /* storage full or blocked */ }
+    if (mode === "auto") {
+      perf.slow = perf.fast = 0;
+      updateQualityBtn();
+    } else {
+      setQualityTier(mode);
     }
   }
 
+  function qualityLabel() {
+    const tier = qualityTier[0].toUpperCase() + qualityTier.slice(1);
+    return qualityMode === "auto" ? `Auto • ${tier}` : tier;
+  }
+
+  function updateQualityBtn() {
+    const btn = $("qualityBtn");
+    if (btn) btn.textContent = `Quality: ${qualityLabel()}`;
+  }
+
   // ---------- Mini-map ----------
-  function drawMiniMap() {
-    if (!miniMap || !mctx) return;
+  // recent events blink where they happened: rgb per event kind
+  const MINI_FLASH = { EVENT: "44,255,195", DASH: "255,150,60", BOSS: "255,210,90" };
+  const MINI_FLASH_MS = 1600;
+  const miniFlashes = []; // {x, y, rgb, at}
+
+  function miniFlash(t, colonyId, rgb) {
+    const c = t.sim.state.colonies.find((k) => k.id === colonyId);
+    if (!c) return;
+    miniFlashes.push({ x: c.x, y: c.y, rgb, at: performance.now() });
+    if (miniFlashes.length > 24) miniFlashes.shift();
+  }
 
+  // world bounds of every colony squeezed into the minimap box
+  function miniView() {
     const rect = miniMap.getBoundingClientRect();
     const mw = Math.max(1, Math.floor(rect.width));
     const mh = Math.max(1, Math.floor(rect.height));
 
-    if (miniMap.width !== mw || miniMap.height !== mh) {
-      miniMap.width = mw;
-      miniMap.height = mh;
-    }
-
-    mctx.clearRect(0, 0, mw, mh);
-
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     const pad = 620;
-    for (const c of colonies) {
+    for (const c of allColonies()) {
       minX = Math.min(minX, c.x - pad);
       minY = Math.min(minY, c.y - pad);
       maxX = Math.max(maxX, c.x + pad);
@@ -1097,19 +2912,57 @@
     }
     const bw = Math.max(1, maxX - minX);
     const bh = Math.max(1, maxY - minY);
+    return { mw, mh, minX, minY, sx: mw / bw, sy: mh / bh };
+  }
 
-    const sx = mw / bw;
-    const sy = mh / bh;
+  function drawMiniMap() {
+    if (!miniMap || !mctx) return;
 
-    for (let i = 0; i < colonies.length; i++) {
-      const c = colonies[i];
-      const x = (c.x - minX) * sx;
-      const y = (c.y - minY) * sy;
+    const { mw, mh, minX, minY, sx, sy } = miniView();
+    if (miniMap.width !== mw || miniMap.height !== mh) {
+      miniMap.width = mw;
+      miniMap.height = mh;
+    }
+
+    mctx.clearRect(0, 0, mw, mh);
 
-      mctx.fillStyle = i === selected ? "rgba(44,255,195,.95)" : "rgba(255,255,255,.55)";
+    const now = performance.now();
+    while (miniFlashes.length && now - miniFlashes[0].at > MINI_FLASH_MS) miniFlashes.shift();
+    for (const f of miniFlashes) {
+      const k = (now - f.at) / MINI_FLASH_MS;
+      mctx.strokeStyle = `rgba(${f.rgb}, ${(1 - k) * 0.9})`;
+      mctx.lineWidth = 1.5;
       mctx.beginPath();
-      mctx.arc(x, y, i === selected ? 3.6 : 2.4, 0, Math.PI * 2);
-      mctx.fill();
+      mctx.arc((f.x - minX) * sx, (f.y - minY) * sy, 3 + k * 12, 0, Math.PI * 2);
+      mctx.stroke();
+    }
+
+    for (const t of tokens) {
+      const cols = t.sim.state.colonies;
+      const selected = t === active ? t.sim.state.selected : -1;
+      const dot = multi ? `hsla(${t.hue}, 95%, 68%, .75)` : "rgba(255,255,255,.55)";
+      for (let i = 0; i < cols.length; i++) {
+        const c = cols[i];
+        const x = (c.x - minX) * sx;
+        const y = (c.y - minY) * sy;
+
+        mctx.fillStyle = i === selected ? "rgba(44,255,195,.95)" : dot;
+        mctx.beginPath();
+        mctx.arc(x, y, i === selected ? 3.6 : 2.4, 0, Math.PI * 2);
+        mctx.fill();
+      }
+
+      // bosses pulse so they can be found from anywhere
+      const pulse = reducedMotion ? 0.9 : 0.55 + 0.45 * Math.sin(now / 180);
+      for (const b of t.sim.bosses()) {
+        if (!b.worm) continue;
+        const head = b.worm.segs[0];
+        mctx.strokeStyle = `rgba(255,90,90,${pulse})`;
+        mctx.lineWidth = 1.5;
+        mctx.beginPath();
+        mctx.arc((head.x - minX) * sx, (head.y - minY) * sy, 3 + b.tier, 0, Math.PI * 2);
+        mctx.stroke();
+      }
     }
 
     const vw = (W / zoom) * sx;
@@ -1122,116 +2975,157 @@
     mctx.strokeRect(cx, cy, vw, vh);
   }
 
-  // ---------- Step + Render ----------
-  function step(dt, time) {
-    ensureBoss();
-    trySplitByMcap();
-
-    // boss dash scheduler
-    if (bossRef && bossDash.tLeft <= 0) {
-      bossDash.tNext -= dt;
-      if (bossDash.tNext <= 0) startBossDash(colonies[0], bossRef);
-    }
-
-    for (const c of colonies) {
-      c.vx += rand(-0.018, 0.018) * c.dna.drift;
-      c.vy += rand(-0.018, 0.018) * c.dna.drift;
-      c.vx *= 0.986;
-      c.vy *= 0.986;
-      c.x += c.vx;
-      c.y += c.vy;
-
-      for (const s of c.shock) {
-        s.r += s.v;
-        s.a *= 0.96;
-      }
-      c.shock = c.shock.filter((s) => s.a > 0.06);
-    }
-
-    for (const c of colonies) {
-      for (const w of c.worms) wormBehavior(c, w, time, dt);
-    }
+  // tap a dot to select it, tap elsewhere to fly there, drag to move the viewport
+  let miniDrag = null; // {id, x0, y0, offX, offY, moved}
 
-    if (focusOn) centerOnSelected(true);
+  function miniPoint(e) {
+    const r = miniMap.getBoundingClientRect();
+    return { x: e.clientX - r.left, y: e.clientY - r.top };
+  }
 
-    mutTimer += dt;
-    const g = growthScore();
-    const mutRate = clamp(2.1 - g * 0.08, 0.42, 2.1);
-    if (mutTimer >= mutRate) {
-      mutTimer = 0;
-      if (Math.random() < 0.62) mutateRandom();
+  function miniColonyAt(v, p) {
+    let best = null, bestD = 8 * 8;
+    for (const t of tokens) {
+      t.sim.state.colonies.forEach((c, idx) => {
+        const d = ((c.x - v.minX) * v.sx - p.x) ** 2 + ((c.y - v.minY) * v.sy - p.y) ** 2;
+        if (d < bestD) { bestD = d; best = { t, idx }; }
+      });
     }
-
-    maybeSpawnWorms(dt);
-    updateStats();
+    return best;
   }
 
-  function render(time) {
-    ctx.setTransform(DPR, 0, 0, DPR, 0, 0);
-    ctx.clearRect(0, 0, W, H);
-
-    ctx.save();
-    ctx.translate(W / 2, H / 2);
+  miniMap?.addEventListener("pointerdown", (e) => {
+    miniMap.setPointerCapture?.(e.pointerId);
+    const p = miniPoint(e);
+    const v = miniView();
+    const cx = (-camX - v.minX) * v.sx;
+    const cy = (-camY - v.minY) * v.sy;
+    const inView = Math.abs(p.x - cx) <= (W / zoom) * v.sx / 2 && Math.abs(p.y - cy) <= (H / zoom) * v.sy / 2;
+    // grabbing the rectangle keeps it under the finger; anywhere else it jumps to the finger
+    miniDrag = { id: e.pointerId, x0: p.x, y0: p.y, offX: inView ? cx - p.x : 0, offY: inView ? cy - p.y : 0, moved: false };
+    camAnim = null;
+    panVX = panVY = 0;
+  }, { passive: true });
 
-    // background screen-space first
-    drawBackground(time);
+  miniMap?.addEventListener("pointermove", (e) => {
+    if (!miniDrag || miniDrag.id !== e.pointerId) return;
+    const p = miniPoint(e);
+    if (!miniDrag.moved && Math.hypot(p.x - miniDrag.x0, p.y - miniDrag.y0) < 4) return;
+    if (!miniDrag.moved) {
+      miniDrag.moved = true;
+      followId = null;
+      if (focusOn) setFocus(false);
+      isInteracting = true;
+    }
+    const v = miniView();
+    camX = -(v.minX + (p.x + miniDrag.offX) / v.sx);
+    camY = -(v.minY + (p.y + miniDrag.offY) / v.sy);
+  }, { passive: true });
 
-    // world
-    ctx.scale(zoom, zoom);
-    ctx.translate(camX, camY);
+  miniMap?.addEventListener("pointerup", (e) => {
+    if (!miniDrag || miniDrag.id !== e.pointerId) return;
+    const moved = miniDrag.moved;
+    miniDrag = null;
+    isInteracting = false;
+    if (moved) return;
+
+    const p = miniPoint(e);
+    const v = miniView();
+    const hit = miniColonyAt(v, p);
+    if (hit) {
+      const c = hit.t.sim.state.colonies[hit.idx];
+      flyTo(c.x, c.y);
+      selectColony(hit.t, hit.idx);
+    } else {
+      if (focusOn) setFocus(false);
+      flyTo(v.minX + p.x / v.sx, v.minY + p.y / v.sy);
+    }
+    uiBlip();
+  }, { passive: true });
 
-    for (let i = 0; i < colonies.length; i++) {
-      const c = colonies[i];
-      irregularBlob(c, time);
+  miniMap?.addEventListener("pointercancel", () => {
+    miniDrag = null;
+    isInteracting = false;
+  }, { passive: true });
 
-      if (i === selected) {
-        ctx.strokeStyle = `hsla(${c.dna.hue}, 95%, 65%, .55)`;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.arc(c.x, c.y, 98 * c.dna.aura, 0, Math.PI * 2);
-        ctx.stroke();
-      }
+  // ---------- Step + Render ----------
+  // the sim runs fixed steps; the returned fraction is how far we are into the next one
+  function step(dt) {
+    // every sim gets the same dt, so they all share one leftover fraction
+    let alpha = 1;
+    for (const t of tokens) alpha = t.sim.step(dt);
+    if (updateCamera(dt)) {
+      // a tween or flick in progress has the camera
+    } else if (followId) followWorm(dt);
+    else if (focusOn) centerOnSelected(true, dt);
+    updateStats();
+    if (recording || replayTimer) updateRecBadge();
 
-      for (const s of c.shock) {
-        ctx.strokeStyle = `hsla(${c.dna.hue}, 92%, 62%, ${s.a})`;
-        ctx.lineWidth = s.w;
-        ctx.beginPath();
-        ctx.arc(c.x, c.y, s.r, 0, Math.PI * 2);
-        ctx.stroke();
-      }
+    inspectAccum += dt;
+    if (inspect && inspectAccum >= 0.25) {
+      inspectAccum = 0;
+      syncMirrors(renderInspector);
     }
-
-    for (const c of colonies) {
-      for (const w of c.worms) drawWorm(w, time);
+    lineageAccum += dt;
+    if (lineageAccum >= 1) {
+      lineageAccum = 0;
+      renderLineage();
+      if (mixerMood && mixerCard && !mixerCard.hidden) mixerMood.textContent = moodLabel();
     }
+    updateMusic(dt);
+    updateEmbed(dt);
+    updateAchievements(dt);
+    return alpha;
+  }
 
-    drawTapRings();
-    drawLabels();
+  function render(time, alpha = 1) {
+    interp = alpha;
+    // with a render worker the page canvas is drawn there; posters still draw here
+    if (renderWorker && ctx === screenCtx) {
+      renderWorker.post({
+        type: "view", camX, camY, zoom, isInteracting, reducedMotion, labelsOn,
+        active: tokens.indexOf(active), webgl: rendererMode === "webgl", quality: qualityTier, backdrop: backdrop(),
+        watch: watchedWorms(),
+      });
+      if (miniMapOn) drawMiniMap();
+      return;
+    }
 
-    ctx.restore();
+    const started = performance.now();
+    const used = scene.draw(ctx, {
+      time, interp, W, H, DPR, camX, camY, zoom, isInteracting, reducedMotion, labelsOn, multi, tokens, active, tapRings,
+      // posters draw into their own 2D canvas, so they always take the Canvas 2D path at full quality
+      webgl: rendererMode === "webgl" && ctx === screenCtx,
+      quality: ctx === screenCtx ? qualityTier : "high",
+      backdrop: ctx === screenCtx ? backdrop() : "full",
+    });
 
     if (miniMapOn) drawMiniMap();
 
-    if (simStatus) simStatus.textContent = "Simulation Active";
+    if (ctx === screenCtx) {
+      const ms = performance.now() - started;
+      renderMs[used] = renderMs[used] ? lerp(renderMs[used], ms, 0.05) : ms;
+    }
   }
 
   // ---------- Main loop ----------
   let last = performance.now();
   let renderAccum = 0;
-  const RENDER_FPS = 40;
-  const RENDER_DT = 1 / RENDER_FPS;
 
   function tick(now) {
-    const dt = Math.min((now - last) / 1000, 0.05);
+    const dt = Math.min((now - last) / 1000, 0.25);
     last = now;
 
-    step(dt, now);
+    const started = performance.now();
+    const alpha = step(dt);
 
     renderAccum += dt;
-    if (renderAccum >= RENDER_DT) {
+    if (renderAccum >= 1 / QUALITY[qualityTier].fps) {
       renderAccum = 0;
-      render(now);
+      render(now, alpha);
     }
+    // with a render worker the drawing cost is measured there
+    if (!renderWorker) governQuality(dt, dt * 1000, performance.now() - started);
 
     requestAnimationFrame(tick);
   }
@@ -1239,17 +3133,43 @@
   // ---------- Boot ----------
   function boot() {
     resizeCanvas();
-    initBackground();
-    zoomOutToFitAll();
-    updateStats();
 
-    addEvent("EVENT", "Simulation ready");
+    // an explicit ?seed= that differs from the save starts that colony instead; embeds always start fresh
+    const saved = embedMode ? null : loadLocal();
+    if (saved && (!urlSeed || saved.seed === primary.sim.seed) && restore(saved)) {
+      addEvent("EVENT", `Colony restored • Seed ${primary.sim.seed}`);
+    } else {
+      initBackground();
+      zoomOutToFitAll();
+      updateStats();
+      updateSeed();
+      addEvent("EVENT", `Simulation ready • Seed ${primary.sim.seed}`);
+      if (urlSeed && saved?.seed && saved.seed !== primary.sim.seed) {
+        keptSave = saved.seed;
+        addEvent("EVENT", `Saved colony ${keptSave} kept • press Save to replace it with this one`);
+      }
+    }
+    if (!embedMode) startAutosave();
+    renderTokenBar();
+    if (brandSub) brandSub.textContent = multi ? `${tokens.map((t) => t.label).join(" • ")} • LIVE` : `${primary.label} • LIVE COLONY`;
+    // auto falls back quietly; an explicit ?renderer=webgl says why it did not stick
+    if (rendererMode === "webgl" && !hasGL() && params.get("renderer") !== "webgl") rendererMode = "canvas";
+    setRenderer(rendererMode);
+    updateQualityBtn();
+    buildSettings();
+    buildMixer();
+    if ($("soundBtn")) $("soundBtn").textContent = `Sound: ${mixer.on ? "On" : "Off"}`;
+    reportConfigErrors(Sim.normalizeConfig(urlConfig).errors, "URL params");
+    loadConfigFile();
+    loadPosterLogo();
+    source.start();
     setToast("Tap a colony to inspect (toast + events)", 1400);
 
     requestAnimationFrame(tick);
   }
 
-  if (document.readyState === "complete") boot();
-  else window.addEventListener("load", boot, { once: true });
+  const start = () => startRenderWorker(boot);
+  if (document.readyState === "complete") start();
+  else window.addEventListener("load", start, { once: true });
 
 })();
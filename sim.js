@@ -0,0 +1,1421 @@
+// Worm Colony simulation core: economy, colonies, worms, bosses, mutations.
+// No DOM and no canvas — the page (script.js) renders and sounds it, Node can require it.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.WormSim = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // ---------- Helpers ----------
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  const lerp = (a, b, t) => a + (b - a) * t;
+  const fmt = (n) => "$" + Math.max(0, Math.round(n)).toLocaleString();
+  const finite = (v) => typeof v === "number" && Number.isFinite(v);
+
+  function lerpAngle(a, b, t) {
+    let d = (b - a) % (Math.PI * 2);
+    if (d > Math.PI) d -= Math.PI * 2;
+    if (d < -Math.PI) d += Math.PI * 2;
+    return a + d * t;
+  }
+
+  // ---------- Seeded random ----------
+  // mulberry32 over an FNV-1a hash of the seed string: same seed, same colony.
+  function hashSeed(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  }
+
+  function createRng(seed) {
+    let s = hashSeed(String(seed));
+    const next = () => {
+      s = (s + 0x6d2b79f5) | 0;
+      let t = Math.imul(s ^ (s >>> 15), 1 | s);
+      t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.getState = () => s;
+    next.setState = (v) => { s = v | 0; };
+    return next;
+  }
+
+  function randomSeed() {
+    return "WORM" + Math.floor(Math.random() * 36 ** 4).toString(36).toUpperCase().padStart(4, "0");
+  }
+
+  // ---------- Spatial hash ----------
+  // Uniform grid of buckets. Items go into every cell their rect touches, so a
+  // query reports each item once even when it spans cells.
+  function createSpatialHash(cellSize) {
+    const cells = new Map();
+    const pool = [];
+    const seen = new Set(); // scratch for query, so queries don't allocate one each
+    const key = (cx, cy) => (cx + 32768) * 65536 + (cy + 32768);
+    const cell = (v) => Math.floor(v / cellSize);
+
+    function clear() {
+      for (const bucket of cells.values()) {
+        bucket.length = 0;
+        pool.push(bucket);
+      }
+      cells.clear();
+    }
+
+    function insert(item, x0, y0, x1 = x0, y1 = y0) {
+      for (let cx = cell(x0); cx <= cell(x1); cx++) {
+        for (let cy = cell(y0); cy <= cell(y1); cy++) {
+          const k = key(cx, cy);
+          let bucket = cells.get(k);
+          if (!bucket) {
+            bucket = pool.pop() || [];
+            cells.set(k, bucket);
+          }
+          bucket.push(item);
+        }
+      }
+    }
+
+    function query(x0, y0, x1, y1, out = []) {
+      seen.clear();
+      for (let cx = cell(x0); cx <= cell(x1); cx++) {
+        for (let cy = cell(y0); cy <= cell(y1); cy++) {
+          const bucket = cells.get(key(cx, cy));
+          if (!bucket) continue;
+          for (const item of bucket) {
+            if (seen.has(item)) continue;
+            seen.add(item);
+            out.push(item);
+          }
+        }
+      }
+      seen.clear(); // don't hold on to items until the next query
+      return out;
+    }
+
+    return {
+      clear,
+      insert,
+      query,
+      near: (x, y, r, out) => query(x - r, y - r, x + r, y + r, out),
+    };
+  }
+
+  // ---------- Rules ----------
+  // Per-step rules (speeds, damping, shock growth) are tuned for this fixed rate;
+  // step(dt) runs as many of these as dt covers, so every display sees the same motion.
+  const STEP_DT = 1 / 60;
+  const MAX_STEPS = 15;       // drop time rather than spiral after a long stall
+  const MAX_COLONIES = 16;   // this and the next four are defaults, see DEFAULT_CONFIG
+  const MC_STEP = 25000;
+  const BOSS_MC = 50000;
+  const MC_IMPACT = 3.4;     // mcap moved per $ traded when the feed carries no mcap
+  const WHALE_USD = 2500;
+  const WALLET_CAP = 5000;
+  const WITHER_SECS = 20;       // health a colony loses per second below its split mcap is 1/WITHER_SECS
+  const STARVE_FADE = 1.5;      // seconds a starving worm takes to fade out
+  const BOSS_RETREAT_SECS = 6;  // mcap under a boss's threshold this long and it leaves
+  const SENSE_R = 240;          // how far a hunter spots prey
+  const SEPARATE_R = 30;        // heads closer than this steer apart
+  const SCATTER_R = 210;        // a dashing boss flings worms within this radius
+  const CHASE_SECS = 8;         // prey not caught by then has escaped
+  const SATED_SECS = 20;        // a hunter rests this long after a meal
+  const PREY_RATIO = 0.8;       // prey must be under this fraction of the hunter's size
+  const MAX_SEGS = 40;
+  const FAMILY_SPREAD = 90;     // degrees a colony's hue may sit from its home colony's
+  const MAX_WORMS = 160;      // affordable now that neighbour queries go through the grid
+
+  // One boss per colony. A colony's boss emerges at bossMc plus the mcap the
+  // colony split at, then evolves at `mult` times that. Stats apply on reaching a tier.
+  const BOSS_TIERS = [
+    { name: "Boss", mult: 1, width: 1.6, speed: 0.72, limbs: 4, hueShift: 0, dash: [8, 14], impulse: [680, 980] },
+    { name: "Titan", mult: 3, width: 1.25, speed: 1.08, limbs: 2, hueShift: 70, dash: [6, 11], impulse: [820, 1120] },
+    { name: "Leviathan", mult: 8, width: 1.2, speed: 1.08, limbs: 3, hueShift: 70, dash: [4.5, 8], impulse: [960, 1280] },
+  ];
+
+  // ---------- Config ----------
+  // The economy-facing rules, tunable per token. Every field is listed in
+  // CONFIG_FIELDS with its bounds; `range` fields are [low, high] pairs.
+  const DEFAULT_CONFIG = {
+    mcStep: MC_STEP,
+    maxColonies: MAX_COLONIES,
+    bossMc: BOSS_MC,
+    mcImpact: MC_IMPACT,
+    whaleUsd: WHALE_USD,
+    growth: { mcap: 20000, volume: 6000, buyers: 10 },
+    worms: { min: 3, max: MAX_WORMS, perGrowth: 2 },
+    spawn: { slowest: 1.25, fastest: 0.16, perGrowth: 0.04 },
+    actions: {
+      feed: { volume: [20, 90], mcap: [120, 460] },
+      smallBuy: { buyers: [1, 1], volume: [180, 900], mcap: [900, 3200] },
+      whaleBuy: { buyers: [2, 5], volume: [2500, 8500], mcap: [9000, 22000] },
+      sell: { volume: [600, 2600], mcap: [2200, 9000] },
+      storm: { volume: [5000, 18000], mcap: [2000, 8000] },
+    },
+  };
+
+  const BIG = 1e13;
+  const CONFIG_FIELDS = [
+    { key: "mcStep", label: "Split every (MC)", min: 1, max: BIG },
+    { key: "maxColonies", label: "Max colonies", min: 1, max: 32, int: true },
+    { key: "bossMc", label: "Boss threshold (MC)", min: 0, max: BIG },
+    { key: "mcImpact", label: "MC per $ traded", min: 0, max: 1e6 },
+    { key: "whaleUsd", label: "Whale trade ($)", min: 0, max: BIG },
+    { key: "growth.mcap", label: "Growth: MC per point", min: 1, max: BIG },
+    { key: "growth.volume", label: "Growth: volume per point", min: 1, max: BIG },
+    { key: "growth.buyers", label: "Growth: buyers per point", min: 1, max: 1e9 },
+    { key: "worms.min", label: "Worms: minimum", min: 0, max: MAX_WORMS, int: true },
+    { key: "worms.max", label: "Worms: maximum", min: 1, max: MAX_WORMS, int: true },
+    { key: "worms.perGrowth", label: "Worms per growth point", min: 0, max: MAX_WORMS },
+    { key: "spawn.slowest", label: "Spawn: slowest (s)", min: 0.02, max: 60 },
+    { key: "spawn.fastest", label: "Spawn: fastest (s)", min: 0.02, max: 60 },
+    { key: "spawn.perGrowth", label: "Spawn: faster per point (s)", min: 0, max: 60 },
+    { key: "actions.feed.volume", label: "Feed: volume", min: 0, max: BIG, range: true },
+    { key: "actions.feed.mcap", label: "Feed: MC", min: 0, max: BIG, range: true },
+    { key: "actions.smallBuy.buyers", label: "Small buy: buyers", min: 0, max: 1e6, range: true, int: true },
+    { key: "actions.smallBuy.volume", label: "Small buy: volume", min: 0, max: BIG, range: true },
+    { key: "actions.smallBuy.mcap", label: "Small buy: MC", min: 0, max: BIG, range: true },
+    { key: "actions.whaleBuy.buyers", label: "Whale buy: buyers", min: 0, max: 1e6, range: true, int: true },
+    { key: "actions.whaleBuy.volume", label: "Whale buy: volume", min: 0, max: BIG, range: true },
+    { key: "actions.whaleBuy.mcap", label: "Whale buy: MC", min: 0, max: BIG, range: true },
+    { key: "actions.sell.volume", label: "Sell-off: volume", min: 0, max: BIG, range: true },
+    { key: "actions.sell.mcap", label: "Sell-off: MC", min: 0, max: BIG, range: true },
+    { key: "actions.storm.volume", label: "Storm: volume", min: 0, max: BIG, range: true },
+    { key: "actions.storm.mcap", label: "Storm: MC", min: 0, max: BIG, range: true },
+  ];
+
+  const getPath = (obj, key) => key.split(".").reduce((o, k) => (o && typeof o === "object" ? o[k] : undefined), obj);
+  function setPath(obj, key, value) {
+    const ks = key.split(".");
+    const last = ks.pop();
+    let o = obj;
+    for (const k of ks) o = o[k] || (o[k] = {});
+    o[last] = value;
+  }
+
+  function checkField(f, v) {
+    if (f.range) {
+      if (!Array.isArray(v) || v.length !== 2) return "needs [low, high]";
+      if (v.some((x) => x === null || x === "" || typeof x === "boolean")) return "needs numbers";
+      const [a, b] = v.map(Number);
+      if (!Number.isFinite(a) || !Number.isFinite(b)) return "needs numbers";
+      if (a > b) return "low is above high";
+      if (a < f.min || b > f.max) return `must be within ${f.min}–${f.max}`;
+      if (f.int && (!Number.isInteger(a) || !Number.isInteger(b))) return "must be whole numbers";
+      return null;
+    }
+    const n = Number(v);
+    if (v === null || v === "" || typeof v === "boolean" || !Number.isFinite(n)) return "needs a number";
+    if (n < f.min || n > f.max) return `must be within ${f.min}–${f.max}`;
+    if (f.int && !Number.isInteger(n)) return "must be a whole number";
+    return null;
+  }
+
+  /**
+   * Fill a partial config from the defaults. Bad fields fall back to their
+   * default and are reported as "key: reason" strings rather than thrown.
+   */
+  function normalizeConfig(raw) {
+    const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+    const errors = [];
+    if (raw !== undefined && raw !== null && typeof raw !== "object") {
+      return { config, errors: ["config: must be an object"] };
+    }
+
+    for (const f of CONFIG_FIELDS) {
+      const v = getPath(raw, f.key);
+      if (v === undefined) continue;
+      const err = checkField(f, v);
+      if (err) errors.push(`${f.key}: ${err}`);
+      else setPath(config, f.key, f.range ? v.map(Number) : Number(v));
+    }
+
+    if (config.worms.min > config.worms.max) {
+      errors.push("worms.min: above worms.max");
+      config.worms.min = Math.min(DEFAULT_CONFIG.worms.min, config.worms.max);
+    }
+    if (config.spawn.fastest > config.spawn.slowest) {
+      errors.push("spawn.fastest: slower than spawn.slowest");
+      config.spawn.fastest = config.spawn.slowest;
+    }
+    return { config, errors };
+  }
+
+  // a feed message is one trade, an array of them, or { trades: [...] }
+  function tradesOf(data) {
+    return Array.isArray(data) ? data : Array.isArray(data?.trades) ? data.trades : [data];
+  }
+
+  function isValidState(data) {
+    if (!data || typeof data !== "object") return false;
+    if (typeof data.seed !== "string" || !data.seed) return false;
+    if (!data.economy || !finite(data.economy.buyers) || !finite(data.economy.volume) || !finite(data.economy.mcap)) return false;
+    if (!Array.isArray(data.colonies) || !data.colonies.length) return false;
+    return data.colonies.every((c) =>
+      c && finite(c.x) && finite(c.y) && c.dna && Array.isArray(c.nodes) && Array.isArray(c.worms) &&
+      c.worms.every((w) => w && Array.isArray(w.segs) && w.segs.length >= 2 && Array.isArray(w.limbs))
+    );
+  }
+
+  function normalizeTrade(raw) {
+    if (!raw || typeof raw !== "object") return null;
+    const side = String(raw.side || raw.type || "").toLowerCase();
+    const amount = Number(raw.amount ?? raw.usd);
+    if ((side !== "buy" && side !== "sell") || !Number.isFinite(amount) || amount <= 0) return null;
+    const mc = Number(raw.mcap);
+    return {
+      side,
+      amount,
+      wallet: typeof raw.wallet === "string" ? raw.wallet.slice(0, 64) : "",
+      mcap: Number.isFinite(mc) && mc >= 0 ? mc : null,
+    };
+  }
+
+  /**
+   * Create a simulation. Everything it owns lives in `sim.state` as plain data;
+   * `sim.step(dt)` advances it by dt seconds in STEP_DT ticks and returns the
+   * leftover fraction of a tick for render interpolation (px/py hold the
+   * previous tick's positions). Log-worthy happenings go to
+   * `sim.on("event", fn)` as { kind, msg, colony?, worm? }, sound-only ones to
+   * `sim.on("cue", fn)` as { name }.
+   *
+   * Several sims can share one world: `origin` is where the home colony sits and
+   * `hue` the colour family its colonies stay within.
+   */
+  function createSim(opts = {}) {
+    let rng = createRng("");
+    let cfg = normalizeConfig(opts.config).config;
+    const origin = { x: finite(opts.origin?.x) ? opts.origin.x : 0, y: finite(opts.origin?.y) ? opts.origin.y : 0 };
+    const homeHue = finite(opts.hue) ? ((opts.hue % 360) + 360) % 360 : 150;
+    const rand = (a, b) => a + rng() * (b - a);
+    const randi = (a, b) => Math.floor(rand(a, b + 1));
+
+    const state = {
+      seed: "",
+      time: 0,
+      buyers: 0,
+      volume: 0,
+      mcap: 0,
+      nextSplitAt: MC_STEP,
+      mutTimer: 0,
+      spawnTimer: 0,
+      starveTimer: 0,
+      selected: 0,
+      colonies: [],
+      lineage: [], // every colony ever founded, collapsed ones included
+    };
+    const wallets = new Set();
+    const byId = new Map(); // worm id -> { w, c }, rebuilt every tick
+    // heads: worm heads for neighbour lookups; bodies and colonies: drawn extents
+    // for picking and view culling. Rebuilt at the end of every tick.
+    const grid = {
+      heads: createSpatialHash(64),
+      bodies: createSpatialHash(256),
+      colonies: createSpatialHash(256),
+    };
+    let swerveQuiet = 0;
+    let acc = 0;
+
+    const listeners = { event: [], cue: [] };
+    function on(type, fn) {
+      (listeners[type] || (listeners[type] = [])).push(fn);
+      return () => {
+        const i = listeners[type].indexOf(fn);
+        if (i !== -1) listeners[type].splice(i, 1);
+      };
+    }
+    function emit(type, payload) {
+      for (const fn of listeners[type] || []) fn(payload);
+    }
+    const event = (kind, msg, extra) => emit("event", { kind, msg, ...extra });
+    const cue = (name, extra) => emit("cue", { name, ...extra });
+
+    function growthScore() {
+      const k = cfg.growth;
+      return (state.mcap / k.mcap) + (state.volume / k.volume) + (state.buyers / k.buyers);
+    }
+
+    function wormCount() {
+      return state.colonies.reduce((a, c) => a + c.worms.length, 0);
+    }
+
+    // starving and retreating worms are on their way out and don't hold a place
+    function livingWormCount() {
+      let n = 0;
+      for (const c of state.colonies) for (const w of c.worms) if (w.dying === undefined) n++;
+      return n;
+    }
+
+    // ---------- Colony/Worm models ----------
+    function newColony(x, y, hue = rand(0, 360)) {
+      const dna = {
+        hue,
+        chaos: rand(0.55, 1.35),
+        drift: rand(0.55, 1.35),
+        aura: rand(0.95, 1.75),
+        temperament: ["CALM", "AGGRESSIVE", "CHAOTIC", "TOXIC"][randi(0, 3)],
+        biome: ["NEON GARDEN", "DEEP SEA", "VOID BLOOM", "GLASS CAVE", "ARC STORM"][randi(0, 4)],
+        style: ["COMET", "CROWN", "ARC", "SPIRAL", "DRIFT"][randi(0, 4)]
+      };
+
+      const nodes = Array.from({ length: randi(4, 7) }, () => ({
+        ox: rand(-70, 70),
+        oy: rand(-70, 70),
+        r: rand(55, 120),
+        ph: rand(0, Math.PI * 2),
+        sp: rand(0.4, 1.2)
+      }));
+
+      return {
+        id: colonyId(),
+        x, y,
+        vx: rand(-0.14, 0.14),
+        vy: rand(-0.14, 0.14),
+        dna,
+        nodes,
+        worms: [],
+        shock: [],
+        mutations: 0,
+        health: 1,
+      };
+    }
+
+    // the family tree outlives collapsed colonies, so their ids stay taken
+    function colonyId() {
+      const used = new Set(state.lineage.map((r) => r.id));
+      let id;
+      do id = rng().toString(16).slice(2, 6).toUpperCase(); while (!id || used.has(id));
+      return id;
+    }
+
+    // ids are short for the log, so re-roll the rare clash with a living worm
+    function wormId() {
+      const used = new Set();
+      for (const c of state.colonies) for (const w of c.worms) used.add(w.id);
+      let id;
+      do id = rng().toString(16).slice(2, 6); while (!id || used.has(id));
+      return id;
+    }
+
+    function newWorm(col, big = false, parent = null) {
+      const type = ["DRIFTER", "ORBITER", "HUNTER"][randi(0, 2)];
+      const segCount = big ? randi(18, 28) : randi(10, 18);
+      const baseLen = big ? rand(10, 16) : rand(7, 12);
+
+      const hue = (col.dna.hue + rand(-160, 160) + 360) % 360;
+
+      const w = {
+        id: wormId(),
+        type,
+        hue,
+        width: big ? rand(7, 11) : rand(4.2, 7),
+        speed: big ? rand(0.38, 0.75) : rand(0.5, 1.05),
+        turn: rand(0.008, 0.02) * col.dna.chaos,
+        phase: rand(0, Math.PI * 2),
+        segs: [],
+        limbs: [],
+        isBoss: false,
+
+        parent: parent ? parent.id : null,
+        gen: parent ? (parent.gen || 0) + 1 : 0,
+        origin: col.id,
+        born: state.time,
+        history: [],
+
+        orbitDir: rng() < 0.5 ? -1 : 1,
+        orbitBias: rand(0.65, 1.35),
+        orbitTight: rand(0.7, 1.5),
+      };
+
+      let px = col.x + rand(-55, 55);
+      let py = col.y + rand(-55, 55);
+      let ang = rand(0, Math.PI * 2);
+
+      for (let i = 0; i < segCount; i++) {
+        w.segs.push({ x: px, y: py, a: ang, len: baseLen * rand(0.85, 1.22) });
+        px -= Math.cos(ang) * baseLen;
+        py -= Math.sin(ang) * baseLen;
+        ang += rand(-0.3, 0.3) * col.dna.chaos;
+      }
+
+      return w;
+    }
+
+    function addLimb(w, col, big = false) {
+      if (!w.segs.length) return;
+      const at = randi(2, w.segs.length - 3);
+      w.limbs.push({
+        at,
+        len: big ? rand(35, 90) : rand(22, 70),
+        ang: rand(-1.3, 1.3),
+        wob: rand(0.7, 1.6)
+      });
+    }
+
+    // ---------- Lineage ----------
+    const LINEAGE_CAP = 200;
+    const lineageOf = (id) => state.lineage.find((r) => r.id === id);
+
+    function foundColony(c, parent = null) {
+      c.parent = parent ? parent.id : null;
+      c.gen = parent ? (parent.gen || 0) + 1 : 0;
+      c.born = state.time;
+      c.history = [];
+      state.lineage.push({
+        id: c.id, parent: c.parent, gen: c.gen, born: c.born, bornAt: c.bornAt || 0,
+        hue: c.dna.hue, mutations: 0, rare: 0, died: null,
+      });
+
+      // long runs churn through colonies; forget the oldest collapsed ones first
+      if (state.lineage.length > LINEAGE_CAP) {
+        const i = state.lineage.findIndex((r) => r.died !== null);
+        if (i !== -1) state.lineage.splice(i, 1);
+      }
+    }
+
+    function seedColonies() {
+      const colonies = state.colonies;
+      colonies.length = 0;
+      state.lineage.length = 0;
+      colonies.push(newColony(origin.x, origin.y, homeHue));
+      foundColony(colonies[0]);
+      colonies[0].worms.push(newWorm(colonies[0], false));
+      colonies[0].worms.push(newWorm(colonies[0], false));
+      colonies[0].worms.push(newWorm(colonies[0], true));
+    }
+
+    // ---------- Shockwaves ----------
+    // `delay` (seconds) staggers rings; the renderer skips rings that are still waiting
+    function shockwave(col, strength = 1, delay = 0) {
+      col.shock.push({ r: 0, v: 2.6 + strength * 1.2, a: 0.85, w: 2 + strength, delay });
+    }
+    function gigaShock(col) {
+      shockwave(col, 3.0);
+      shockwave(col, 2.4, 0.04);
+      shockwave(col, 1.8, 0.09);
+    }
+
+    // ---------- Bosses ----------
+    // c.boss = { worm, tier, lowFor, dash } — plain data, the worm referenced by id
+    function bossOf(c) {
+      if (!c.boss) return null;
+      return c.worms.find((w) => w.id === c.boss.worm) || null;
+    }
+
+    function bossThreshold(c, i) {
+      return cfg.bossMc + (i === 0 ? 0 : (c.bornAt ?? cfg.mcStep * i));
+    }
+
+    function bossLabel(c) {
+      return `Colony ${c.id} ${BOSS_TIERS[c.boss?.tier ?? 0].name}`;
+    }
+
+    function startBossDash(col, boss) {
+      const dash = col.boss.dash;
+      const tier = BOSS_TIERS[col.boss.tier];
+      const head = boss.segs[0];
+      const dx = head.x - col.x;
+      const dy = head.y - col.y;
+      const baseAng = Math.atan2(dy, dx);
+
+      const ang = baseAng + rand(-1.9, 1.9);
+      dash.angle = ang;
+
+      const impulse = rand(tier.impulse[0], tier.impulse[1]);
+      dash.vx = Math.cos(ang) * impulse;
+      dash.vy = Math.sin(ang) * impulse;
+
+      dash.tLeft = rand(0.55, 0.85);
+      dash.tNext = rand(tier.dash[0], tier.dash[1]);
+
+      if (rng() < 0.35) boss.orbitDir *= -1;
+
+      gigaShock(col);
+      event("DASH", `${bossLabel(col)} CHARGE DASH`, { colony: col.id, worm: boss.id, tier: col.boss.tier });
+    }
+
+    function applyBossDash(col, boss, dt) {
+      const dash = col.boss.dash;
+      if (dash.tLeft <= 0) return;
+      if (!boss.segs?.length) { dash.tLeft = 0; return; }
+
+      const head = boss.segs[0];
+
+      const k = Math.pow(0.10, dt);
+      head.x += dash.vx * dt;
+      head.y += dash.vy * dt;
+
+      dash.vx *= k;
+      dash.vy *= k;
+
+      head.a = lerpAngle(head.a, dash.angle, 0.25);
+      scatterAround(col, boss);
+
+      // the leash grows with the tier so bigger bosses roam further
+      const d = Math.hypot(head.x - col.x, head.y - col.y);
+      const leash = (520 + 120 * col.dna.aura) * (1 + col.boss.tier * 0.2);
+      if (d > leash) {
+        head.x = lerp(head.x, col.x, 0.06);
+        head.y = lerp(head.y, col.y, 0.06);
+        dash.vx *= 0.65;
+        dash.vy *= 0.65;
+      }
+
+      dash.tLeft -= dt;
+      if (dash.tLeft <= 0) {
+        dash.tLeft = 0;
+        shockwave(col, 1.2);
+        cue("dashEnd");
+        if (dash.scattered) {
+          // the outcome, not a second dash: reported with the hunts
+          event("HUNT", `${bossLabel(col)} scattered ${dash.scattered} worm${dash.scattered === 1 ? "" : "s"}`, { colony: col.id, worm: boss.id });
+          dash.scattered = 0;
+        }
+      }
+    }
+
+    function applyTier(boss, c, tier) {
+      const t = BOSS_TIERS[tier];
+      boss.tier = tier;
+      boss.width *= t.width;
+      boss.speed *= t.speed;
+      boss.hue = (boss.hue + t.hueShift) % 360;
+      for (let i = 0; i < t.limbs; i++) addLimb(boss, c, true);
+    }
+
+    function spawnBoss(c, i) {
+      const boss = newWorm(c, true);
+      boss.isBoss = true;
+      // the home boss keeps its signature shade, the others contrast their colony
+      boss.hue = i === 0 ? (homeHue + 330) % 360 : (c.dna.hue + 180) % 360;
+      applyTier(boss, c, 0);
+      c.worms.push(boss);
+
+      c.boss = {
+        worm: boss.id,
+        tier: 0,
+        lowFor: 0,
+        dash: { tNext: rand(BOSS_TIERS[0].dash[0], BOSS_TIERS[0].dash[1]), tLeft: 0, vx: 0, vy: 0, angle: 0 },
+      };
+
+      shockwave(c, 1.4);
+      event("BOSS", `Boss worm emerged in Colony ${c.id}`, { colony: c.id, worm: boss.id, tier: 0 });
+    }
+
+    function evolveBoss(c, boss) {
+      const tier = c.boss.tier + 1;
+      applyTier(boss, c, tier);
+      c.boss.tier = tier;
+
+      gigaShock(c);
+      event("BOSS", `Colony ${c.id} boss evolved into ${BOSS_TIERS[tier].name}`, { colony: c.id, worm: boss.id, tier });
+    }
+
+    function updateBosses(dt) {
+      const colonies = state.colonies;
+      for (let i = 0; i < colonies.length; i++) {
+        const c = colonies[i];
+        const th = bossThreshold(c, i);
+
+        if (c.boss && !bossOf(c)) c.boss = null;
+        if (!c.boss) {
+          if (state.mcap >= th && !c.withering) spawnBoss(c, i);
+          continue;
+        }
+
+        const boss = bossOf(c);
+        const next = BOSS_TIERS[c.boss.tier + 1];
+        if (next && state.mcap >= th * next.mult) evolveBoss(c, boss);
+
+        // retreat once mcap stays under the emergence threshold
+        if (state.mcap < th) {
+          c.boss.lowFor += dt;
+          if (c.boss.lowFor >= BOSS_RETREAT_SECS) {
+            boss.dying = 1;
+            c.boss = null;
+            shockwave(c, 1.0);
+            event("BOSS", `${BOSS_TIERS[boss.tier ?? 0].name} of Colony ${c.id} retreated`, { colony: c.id, worm: boss.id });
+            continue;
+          }
+        } else {
+          c.boss.lowFor = 0;
+        }
+
+        // dash scheduler
+        const dash = c.boss.dash;
+        if (dash.tLeft <= 0) {
+          dash.tNext -= dt;
+          if (dash.tNext <= 0) startBossDash(c, boss);
+        }
+      }
+    }
+
+    // ---------- Split / mutate ----------
+    // budded hues drift, but never further than FAMILY_SPREAD from the home hue
+    function familyHue(h) {
+      let d = (((h - homeHue) % 360) + 540) % 360 - 180;
+      d = clamp(d, -FAMILY_SPREAD, FAMILY_SPREAD);
+      return (homeHue + d + 360) % 360;
+    }
+
+    // healthy colonies bud new ones, busier colonies more often
+    function pickParent() {
+      const colonies = state.colonies;
+      const live = colonies.filter((c) => !c.withering);
+      const pool = live.length ? live : colonies;
+      let r = rng() * pool.reduce((a, c) => a + c.worms.length + 1, 0);
+      for (const c of pool) if ((r -= c.worms.length + 1) <= 0) return c;
+      return pool[0];
+    }
+
+    function trySplitByMcap() {
+      const colonies = state.colonies;
+      while (state.mcap >= state.nextSplitAt && colonies.length < cfg.maxColonies) {
+        const base = pickParent();
+        const ang = rand(0, Math.PI * 2);
+        const d = rand(240, 460);
+
+        const nc = newColony(
+          base.x + Math.cos(ang) * d,
+          base.y + Math.sin(ang) * d,
+          familyHue(base.dna.hue + rand(-90, 90))
+        );
+
+        const g = growthScore();
+        const starters = clamp(Math.floor(2 + g / 2), 2, 7);
+        for (let i = 0; i < starters; i++) nc.worms.push(newWorm(nc, rng() < 0.25));
+
+        nc.bornAt = state.nextSplitAt;
+        foundColony(nc, base);
+        shockwave(nc, 1.1);
+        colonies.push(nc);
+
+        event("EVENT", `New colony spawned at ${fmt(state.nextSplitAt)} MC • budded from ${base.id}`, { colony: nc.id, parent: base.id });
+        state.nextSplitAt += cfg.mcStep;
+      }
+    }
+
+    // newest first, capped, sim seconds — enough for the inspector
+    const HISTORY_CAP = 20;
+    const COLONY_HISTORY_CAP = 40;
+    function recordMutation(w, c, kind, rare = false) {
+      (w.history || (w.history = [])).unshift({ kind, t: state.time });
+      if (w.history.length > HISTORY_CAP) w.history.length = HISTORY_CAP;
+
+      (c.history || (c.history = [])).unshift({ kind, t: state.time, worm: w.id });
+      if (c.history.length > COLONY_HISTORY_CAP) c.history.length = COLONY_HISTORY_CAP;
+
+      c.mutations++;
+      const rec = lineageOf(c.id);
+      if (rec) {
+        rec.mutations++;
+        if (rare) rec.rare++;
+      }
+    }
+
+    function mutateRandom() {
+      const colonies = state.colonies;
+      const c = colonies[randi(0, colonies.length - 1)];
+      if (!c?.worms?.length) return;
+
+      const w = c.worms[randi(0, c.worms.length - 1)];
+      const r = rng();
+      const ids = { colony: c.id, worm: w.id };
+
+      const rare = rng() < 0.06;
+      if (rare) {
+        w.hue = (w.hue + rand(160, 260)) % 360;
+        w.width = clamp(w.width * rand(1.10, 1.35), 3.5, 18);
+        w.speed *= rand(1.05, 1.20);
+        addLimb(w, c, true);
+        recordMutation(w, c, "Prism shift", true);
+        event("MUTATION", `Rare mutation • Prism shift • Worm ${w.id}`, { ...ids, rare: true });
+        shockwave(c, 1.2);
+        return;
+      }
+
+      let kind;
+      if (r < 0.30) {
+        w.hue = (w.hue + rand(30, 140)) % 360;
+        kind = "Color shift";
+      } else if (r < 0.56) {
+        w.speed *= rand(1.05, 1.25);
+        kind = "Aggression spike";
+      } else if (r < 0.78) {
+        w.width = clamp(w.width * rand(1.05, 1.25), 3.5, 16);
+        kind = "Body growth";
+      } else {
+        addLimb(w, c, rng() < 0.35);
+        kind = "Limb growth";
+      }
+      recordMutation(w, c, kind);
+      event("MUTATION", `${kind} • Worm ${w.id}`, ids);
+
+      if (rng() < 0.22) shockwave(c, 0.9);
+    }
+
+    // ---------- Worm population scaling ----------
+    function wormTarget() {
+      const k = cfg.worms;
+      return clamp(Math.floor(k.min + growthScore() * k.perGrowth), k.min, k.max);
+    }
+
+    function maybeSpawnWorms(dt) {
+      const colonies = state.colonies;
+      const g = growthScore();
+      if (livingWormCount() >= wormTarget()) return;
+
+      state.spawnTimer += dt;
+      const k = cfg.spawn;
+      const rate = clamp(k.slowest - g * k.perGrowth, k.fastest, k.slowest);
+
+      if (state.spawnTimer >= rate) {
+        state.spawnTimer = 0;
+        const c = colonies[state.selected] || colonies[0];
+        const kin = c.worms.filter((w) => !w.isBoss && w.dying === undefined);
+        const parent = kin.length ? kin[randi(0, kin.length - 1)] : null;
+        const w = newWorm(c, rng() < 0.18, parent);
+        c.worms.push(w);
+        if (rng() < 0.35) shockwave(c, 0.6);
+        event("HATCH", parent ? `New worm hatched • child of ${parent.id}` : "New worm hatched", { colony: c.id, worm: w.id, parent: parent?.id });
+      }
+    }
+
+    // ---------- Decline ----------
+    // The mirror of growth: colonies above the current mcap wither and collapse,
+    // and worms beyond the growth target starve. Bosses retreat in updateBosses.
+    function witherColonies(dt) {
+      const colonies = state.colonies;
+      for (let i = colonies.length - 1; i >= 1; i--) {
+        const c = colonies[i];
+        const bornAt = c.bornAt ?? cfg.mcStep * i;
+        const health = c.health ?? 1;
+
+        if (state.mcap < bornAt) {
+          if (!c.withering) {
+            c.withering = true;
+            event("DECLINE", `Colony ${c.id} withering below ${fmt(bornAt)} MC`, { colony: c.id });
+          }
+          c.health = Math.max(0, health - dt / WITHER_SECS);
+          if (c.health <= 0) collapseColony(i, bornAt);
+        } else {
+          c.withering = false;
+          c.health = Math.min(1, health + dt / WITHER_SECS);
+        }
+      }
+    }
+
+    function collapseColony(i, bornAt) {
+      const colonies = state.colonies;
+      const [c] = colonies.splice(i, 1);
+      const rec = lineageOf(c.id);
+      if (rec) rec.died = state.time;
+
+      if (state.selected === i) state.selected = 0;
+      else if (state.selected > i) state.selected--;
+
+      // the lost threshold has to be earned again before this slot re-splits
+      state.nextSplitAt = Math.min(state.nextSplitAt, bornAt);
+
+      shockwave(colonies[0], 0.8);
+      const lost = c.worms.length;
+      event("DECLINE", `Colony ${c.id} collapsed • ${lost} worm${lost === 1 ? "" : "s"} lost`, { colony: c.id });
+    }
+
+    function starveWorms(dt) {
+      let living = 0;
+      for (const c of state.colonies) {
+        for (const w of c.worms) {
+          if (w.dying === undefined) living++;
+          else w.dying -= dt / STARVE_FADE;
+        }
+        if (c.worms.some((w) => w.dying <= 0)) c.worms = c.worms.filter((w) => !(w.dying <= 0));
+      }
+
+      const excess = living - wormTarget();
+      if (excess <= 0) { state.starveTimer = 0; return; }
+
+      state.starveTimer += dt;
+      if (state.starveTimer < clamp(1.2 - excess * 0.05, 0.2, 1.2)) return;
+      state.starveTimer = 0;
+
+      // the most crowded colony loses its thinnest worm first
+      let victim = null, home = null;
+      for (const c of state.colonies) {
+        const alive = c.worms.filter((w) => !w.isBoss && w.dying === undefined);
+        if (!alive.length || (home && alive.length <= home.n)) continue;
+        home = { c, n: alive.length };
+        victim = alive.reduce((a, w) => (w.width < a.width ? w : a));
+      }
+      if (!victim) return;
+
+      victim.dying = 1;
+      event("DECLINE", `Worm ${victim.id} starved`, { colony: home.c.id, worm: victim.id });
+    }
+
+    // ---------- Worm interactions ----------
+    function indexWorld() {
+      byId.clear();
+      grid.heads.clear();
+      grid.bodies.clear();
+      grid.colonies.clear();
+
+      for (const c of state.colonies) {
+        let reach = 320;
+        for (const s of c.shock) reach = Math.max(reach, s.r + s.w);
+        grid.colonies.insert(c, c.x - reach, c.y - reach, c.x + reach, c.y + reach);
+
+        for (const w of c.worms) {
+          byId.set(w.id, { w, c });
+          const h = w.segs[0];
+          grid.heads.insert(w, h.x, h.y);
+
+          let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+          for (const s of w.segs) {
+            if (s.x < x0) x0 = s.x;
+            if (s.x > x1) x1 = s.x;
+            if (s.y < y0) y0 = s.y;
+            if (s.y > y1) y1 = s.y;
+          }
+          // limbs and glow reach past the spine; a boss aura much further
+          let pad = w.width * 2 + 8;
+          for (const L of w.limbs) pad = Math.max(pad, L.len * 1.15 + w.width);
+          if (w.isBoss) pad = Math.max(pad, 120 * (1 + (w.tier || 0) * 0.25) * 2.1);
+          grid.bodies.insert(w, x0 - pad, y0 - pad, x1 + pad, y1 + pad);
+        }
+      }
+    }
+
+    const huntSize = (w) => w.width * w.segs.length;
+    const edible = (p, hunter) => p !== hunter && !p.isBoss && p.dying === undefined && huntSize(p) < huntSize(hunter) * PREY_RATIO;
+
+    function senseHunters(dt) {
+      for (const { w } of byId.values()) {
+        if (w.type !== "HUNTER" || w.isBoss || w.dying !== undefined) continue;
+        if (w.sated > 0) { w.sated -= dt; continue; }
+
+        if (w.prey) {
+          const p = byId.get(w.prey)?.w;
+          w.chase = (w.chase || 0) + dt;
+          if (!p || p.dying !== undefined) {
+            w.prey = null;
+          } else if (w.chase > CHASE_SECS) {
+            event("HUNT", `Worm ${p.id} escaped Hunter ${w.id}`, { worm: p.id, hunter: w.id });
+            w.prey = null;
+            w.sated = SATED_SECS * 0.25;
+          }
+          continue;
+        }
+
+        const h = w.segs[0];
+        let best = null, bestD = SENSE_R * SENSE_R;
+        for (const p of grid.heads.near(h.x, h.y, SENSE_R)) {
+          if (!edible(p, w)) continue;
+          const ph = p.segs[0];
+          const d = (ph.x - h.x) ** 2 + (ph.y - h.y) ** 2;
+          if (d < bestD) { bestD = d; best = p; }
+        }
+        if (best) {
+          w.prey = best.id;
+          w.chase = 0;
+          event("HUNT", `Hunter ${w.id} is stalking Worm ${best.id}`, { worm: best.id, hunter: w.id });
+        }
+      }
+    }
+
+    // steer a head away from nearby heads; returns the worm it swerved around
+    function separate(w, head) {
+      let ax = 0, ay = 0, near = null;
+      for (const o of grid.heads.near(head.x, head.y, SEPARATE_R)) {
+        if (o === w || o.dying !== undefined || o.id === w.prey) continue;
+        const oh = o.segs[0];
+        const dx = head.x - oh.x, dy = head.y - oh.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 > SEPARATE_R * SEPARATE_R || d2 < 1e-6) continue;
+        const d = Math.sqrt(d2);
+        const push = (SEPARATE_R - d) / SEPARATE_R;
+        ax += (dx / d) * push;
+        ay += (dy / d) * push;
+        near = o;
+      }
+      if (!near) return null;
+      head.a = lerpAngle(head.a, Math.atan2(ay, ax), clamp(Math.hypot(ax, ay) * 0.35, 0, 0.4));
+      return near;
+    }
+
+    function scatterAround(col, boss) {
+      const bh = boss.segs[0];
+      for (const w of grid.heads.near(bh.x, bh.y, SCATTER_R)) {
+        if (w === boss || w.isBoss || w.dying !== undefined || w.scatter > 0) continue;
+        const h = w.segs[0];
+        const dx = h.x - bh.x, dy = h.y - bh.y;
+        const d = Math.hypot(dx, dy);
+        if (d > SCATTER_R || d < 1e-6) continue;
+
+        const away = Math.atan2(dy, dx);
+        const kick = (SCATTER_R - d) * 0.35;
+        h.x += Math.cos(away) * kick;
+        h.y += Math.sin(away) * kick;
+        h.a = away;
+        w.scatter = 0.8;
+        w.prey = null;
+        col.boss.dash.scattered = (col.boss.dash.scattered || 0) + 1;
+      }
+    }
+
+    function catchPrey() {
+      const eaten = [];
+      for (const { w } of byId.values()) {
+        // a hunter eaten earlier this tick doesn't get to eat
+        if (!w.prey || w.dying !== undefined || eaten.includes(w)) continue;
+        const p = byId.get(w.prey)?.w;
+        if (!p || eaten.includes(p)) continue;
+
+        const h = w.segs[0];
+        const reach = w.width + p.width + 6;
+        let caught = false;
+        for (let i = 0; i < p.segs.length && !caught; i += 2) {
+          const s = p.segs[i];
+          caught = (s.x - h.x) ** 2 + (s.y - h.y) ** 2 < reach * reach;
+        }
+        if (!caught) continue;
+
+        eaten.push(p);
+        growWorm(w, 2);
+        w.width = clamp(w.width * 1.04, 3.5, 16);
+        w.prey = null;
+        w.sated = SATED_SECS;
+        event("HUNT", `Hunter ${w.id} caught Worm ${p.id}`, { worm: p.id, hunter: w.id, colony: byId.get(w.id).c.id });
+      }
+
+      for (const p of eaten) {
+        const home = byId.get(p.id).c;
+        home.worms = home.worms.filter((w) => w !== p);
+        byId.delete(p.id);
+      }
+    }
+
+    function growWorm(w, n) {
+      for (let i = 0; i < n && w.segs.length < MAX_SEGS; i++) {
+        const tail = w.segs[w.segs.length - 1];
+        w.segs.push({ ...tail });
+      }
+    }
+
+    // ---------- Worm behavior (fix “rush right”) ----------
+    function wormBehavior(col, w, time, dt) {
+      const head = w.segs[0];
+
+      const jitter = Math.sin(time * 0.002 + w.phase) * 0.10;
+      head.a += (rng() - 0.5) * w.turn + jitter;
+
+      const dx = col.x - head.x;
+      const dy = col.y - head.y;
+      const toward = Math.atan2(dy, dx);
+      const tang = toward + w.orbitDir * (Math.PI * 0.5);
+
+      let orbitMix = 0.08;
+      let steerMix = 0.10;
+
+      if (w.type === "DRIFTER") {
+        orbitMix = 0.10 * w.orbitBias;
+        steerMix = 0.08;
+      } else if (w.type === "ORBITER") {
+        orbitMix = 0.20 * w.orbitBias;
+        steerMix = 0.07;
+      } else {
+        orbitMix = 0.14 * w.orbitBias;
+        steerMix = 0.10;
+      }
+
+      const d = Math.hypot(head.x - col.x, head.y - col.y);
+      const preferred = 150 * w.orbitTight + 60 * col.dna.aura;
+      const ringPull = clamp((d - preferred) / preferred, -1, 1);
+
+      const towardBias = clamp(0.10 + ringPull * 0.10, 0.02, 0.22);
+      const tangBias = clamp(0.16 - ringPull * 0.10, 0.06, 0.30);
+
+      const desired =
+        lerpAngle(toward, tang, clamp(orbitMix + tangBias, 0, 0.55)) +
+        Math.sin(time * 0.0014 + w.phase) * (w.type === "HUNTER" ? 0.20 : 0.12);
+
+      head.a = lerpAngle(head.a, desired, clamp(steerMix + towardBias, 0.06, 0.28));
+
+      // a hunter with prey locks on and sprints
+      const prey = w.prey ? byId.get(w.prey)?.w : null;
+      if (prey) {
+        const ph = prey.segs[0];
+        head.a = lerpAngle(head.a, Math.atan2(ph.y - head.y, ph.x - head.x), 0.35);
+      }
+
+      if (w.scatter > 0) w.scatter -= dt;
+      else if (!w.isBoss) {
+        const near = separate(w, head);
+        if (near && swerveQuiet <= 0) {
+          swerveQuiet = 8;
+          event("HUNT", `Worm ${w.id} swerved around Worm ${near.id}`, { worm: w.id });
+        }
+      }
+
+      const boost = w.isBoss ? 1.8 : prey ? 1.3 : 1.0;
+      head.x += Math.cos(head.a) * w.speed * 2.05 * boost;
+      head.y += Math.sin(head.a) * w.speed * 2.05 * boost;
+
+      if (w.isBoss && col.boss?.worm === w.id) applyBossDash(col, w, dt);
+
+      const maxR = 330 + 60 * col.dna.aura;
+      if (d > maxR) {
+        const pull = (d - maxR) / maxR;
+        head.x = lerp(head.x, col.x, 0.05 + pull * 0.08);
+        head.y = lerp(head.y, col.y, 0.05 + pull * 0.08);
+        head.a = lerpAngle(head.a, toward + w.orbitDir * 0.8, 0.14);
+      }
+
+      for (let i = 1; i < w.segs.length; i++) {
+        const prev = w.segs[i - 1];
+        const seg = w.segs[i];
+
+        const vx = seg.x - prev.x;
+        const vy = seg.y - prev.y;
+        const ang = Math.atan2(vy, vx);
+
+        const targetX = prev.x + Math.cos(ang) * seg.len;
+        const targetY = prev.y + Math.sin(ang) * seg.len;
+
+        seg.x = seg.x * 0.2 + targetX * 0.8;
+        seg.y = seg.y * 0.2 + targetY * 0.8;
+        seg.a = ang;
+      }
+    }
+
+    // ---------- Step ----------
+    function keepPrevious() {
+      for (const c of state.colonies) {
+        c.px = c.x;
+        c.py = c.y;
+        for (const w of c.worms) {
+          for (const s of w.segs) {
+            s.px = s.x;
+            s.py = s.y;
+          }
+        }
+      }
+    }
+
+    function step(dt) {
+      acc = Math.min(acc + Math.max(0, dt || 0), STEP_DT * MAX_STEPS);
+      while (acc >= STEP_DT) {
+        acc -= STEP_DT;
+        tick(STEP_DT);
+      }
+      return acc / STEP_DT;
+    }
+
+    function tick(dt) {
+      const colonies = state.colonies;
+      keepPrevious();
+      state.time += dt;
+      const time = state.time * 1000;
+
+      trySplitByMcap();
+      updateBosses(dt);
+      senseHunters(dt);
+      swerveQuiet -= dt;
+
+      for (const c of colonies) {
+        c.vx += rand(-0.018, 0.018) * c.dna.drift;
+        c.vy += rand(-0.018, 0.018) * c.dna.drift;
+        c.vx *= 0.986;
+        c.vy *= 0.986;
+        c.x += c.vx;
+        c.y += c.vy;
+
+        for (const s of c.shock) {
+          if (s.delay > 0) { s.delay -= dt; continue; }
+          s.r += s.v;
+          s.a *= 0.96;
+        }
+        c.shock = c.shock.filter((s) => s.a > 0.06);
+      }
+
+      for (const c of colonies) {
+        for (const w of c.worms) wormBehavior(c, w, time, dt);
+      }
+      catchPrey();
+
+      state.mutTimer += dt;
+      const g = growthScore();
+      const mutRate = clamp(2.1 - g * 0.08, 0.42, 2.1);
+      if (state.mutTimer >= mutRate) {
+        state.mutTimer = 0;
+        if (rng() < 0.62) mutateRandom();
+      }
+
+      maybeSpawnWorms(dt);
+      witherColonies(dt);
+      starveWorms(dt);
+      indexWorld();
+    }
+
+    // ---------- Economy ----------
+    function applyTrade(raw) {
+      const t = normalizeTrade(raw);
+      if (!t) return false;
+
+      state.volume += t.amount;
+      if (t.side === "buy") {
+        if (!t.wallet) state.buyers += 1;
+        else if (!wallets.has(t.wallet)) {
+          wallets.add(t.wallet);
+          if (wallets.size > WALLET_CAP) wallets.delete(wallets.values().next().value);
+          state.buyers += 1;
+        }
+      }
+
+      if (t.mcap !== null) state.mcap = t.mcap;
+      else state.mcap = Math.max(0, state.mcap + (t.side === "buy" ? 1 : -1) * t.amount * cfg.mcImpact);
+
+      if (t.side === "buy" && t.amount >= cfg.whaleUsd) {
+        shockwave(state.colonies[0], 1.2);
+        cue("whale", { amount: t.amount });
+      }
+      return true;
+    }
+
+    function applyPayload(data) {
+      let n = 0;
+      for (const t of tradesOf(data)) if (applyTrade(t)) n++;
+      return n;
+    }
+
+    // the demo actions behind the manual buttons; amounts come from cfg.actions
+    const amount = (r) => rand(r[0], r[1]);
+    const actions = {
+      feed() {
+        const a = cfg.actions.feed;
+        state.volume += amount(a.volume);
+        state.mcap += amount(a.mcap);
+      },
+      smallBuy() {
+        const a = cfg.actions.smallBuy;
+        state.buyers += randi(a.buyers[0], a.buyers[1]);
+        state.volume += amount(a.volume);
+        state.mcap += amount(a.mcap);
+      },
+      whaleBuy() {
+        const a = cfg.actions.whaleBuy;
+        state.buyers += randi(a.buyers[0], a.buyers[1]);
+        const usd = amount(a.volume);
+        state.volume += usd;
+        state.mcap += amount(a.mcap);
+        shockwave(state.colonies[0], 1.2);
+        cue("whale", { amount: usd });
+      },
+      sell() {
+        const a = cfg.actions.sell;
+        state.volume = Math.max(0, state.volume - amount(a.volume));
+        state.mcap = Math.max(0, state.mcap - amount(a.mcap));
+      },
+      storm() {
+        const a = cfg.actions.storm;
+        state.volume += amount(a.volume);
+        state.mcap += amount(a.mcap);
+        shockwave(state.colonies[0], 1.0);
+      },
+      mutate() { mutateRandom(); },
+    };
+
+    // Applies on the next tick. A new split step re-bases the next split on the
+    // colonies already standing; thresholds they were born at stay as they were.
+    function setConfig(raw) {
+      const { config, errors } = normalizeConfig(raw);
+      if (config.mcStep !== cfg.mcStep) state.nextSplitAt = config.mcStep * state.colonies.length;
+      cfg = config;
+      return errors;
+    }
+
+    // ---------- Lifecycle ----------
+    function reset(seed) {
+      state.seed = String(seed || randomSeed()).slice(0, 32);
+      rng = createRng(state.seed);
+
+      acc = 0;
+      state.time = 0;
+      state.buyers = 0;
+      state.volume = 0;
+      state.mcap = 0;
+      state.nextSplitAt = cfg.mcStep;
+      wallets.clear();
+
+      seedColonies();
+      state.mutTimer = 0;
+      state.spawnTimer = 0;
+      state.starveTimer = 0;
+      state.selected = 0;
+      indexWorld();
+    }
+
+    function serialize() {
+      return {
+        seed: state.seed,
+        rngState: rng.getState(),
+        time: state.time,
+        economy: { buyers: state.buyers, volume: state.volume, mcap: state.mcap },
+        wallets: Array.from(wallets),
+        nextSplitAt: state.nextSplitAt,
+        timers: {
+          mutTimer: state.mutTimer,
+          spawnTimer: state.spawnTimer,
+          starveTimer: state.starveTimer,
+        },
+        colonies: state.colonies,
+        lineage: state.lineage,
+      };
+    }
+
+    function load(data) {
+      if (!isValidState(data)) return false;
+
+      state.seed = data.seed.slice(0, 32);
+      rng = createRng(state.seed);
+      if (finite(data.rngState)) rng.setState(data.rngState);
+
+      acc = 0;
+      state.time = finite(data.time) ? data.time : 0;
+      state.buyers = data.economy.buyers;
+      state.volume = data.economy.volume;
+      state.mcap = data.economy.mcap;
+      state.nextSplitAt = finite(data.nextSplitAt) ? data.nextSplitAt : cfg.mcStep;
+
+      wallets.clear();
+      if (Array.isArray(data.wallets)) {
+        for (const w of data.wallets.slice(-WALLET_CAP)) if (typeof w === "string") wallets.add(w);
+      }
+
+      state.colonies.length = 0;
+      for (const c of data.colonies) state.colonies.push({ shock: [], mutations: 0, vx: 0, vy: 0, history: [], ...c });
+
+      // saves from before lineage tracking: everything budded from the home colony
+      state.lineage.length = 0;
+      if (Array.isArray(data.lineage)) {
+        for (const r of data.lineage) if (r && typeof r.id === "string") state.lineage.push(r);
+      } else {
+        const home = state.colonies[0];
+        for (const c of state.colonies) {
+          if (c.parent === undefined) {
+            c.parent = c === home ? null : home.id;
+            c.gen = c === home ? 0 : 1;
+            c.born = 0;
+          }
+          state.lineage.push({
+            id: c.id, parent: c.parent, gen: c.gen, born: c.born, bornAt: c.bornAt || 0,
+            hue: c.dna.hue, mutations: c.mutations, rare: 0, died: null,
+          });
+        }
+      }
+
+      // saves from before per-colony bosses had one global boss and dash
+      for (const c of state.colonies) {
+        if (c.boss) continue;
+        const w = c.worms.find((w) => w.isBoss && w.dying === undefined);
+        if (!w) continue;
+        const dash = { tNext: rand(8, 14), tLeft: 0, vx: 0, vy: 0, angle: 0 };
+        if (c === state.colonies[0] && data.bossDash) Object.assign(dash, data.bossDash);
+        c.boss = { worm: w.id, tier: w.tier ?? 0, lowFor: 0, dash };
+        w.tier = c.boss.tier;
+      }
+
+      state.mutTimer = data.timers?.mutTimer || 0;
+      state.spawnTimer = data.timers?.spawnTimer || 0;
+      state.starveTimer = data.timers?.starveTimer || 0;
+      state.selected = clamp(data.selected | 0, 0, state.colonies.length - 1);
+      indexWorld();
+      return true;
+    }
+
+    // the colony HATCH breeds from and the page inspects
+    function select(i) {
+      state.selected = clamp(i | 0, 0, state.colonies.length - 1);
+    }
+
+    reset(opts.seed);
+
+    return {
+      state,
+      grid,
+      on,
+      step,
+      reset,
+      serialize,
+      load,
+      select,
+      growthScore,
+      wormCount,
+      applyTrade,
+      applyPayload,
+      shockwave,
+      mutate: mutateRandom,
+      actions,
+      setConfig,
+      get config() { return cfg; },
+      get seed() { return state.seed; },
+      findWorm(id) {
+        return byId.get(id) || null;
+      },
+      // the living worm with a segment nearest (x, y) within r plus its half width
+      wormAt(x, y, r) {
+        let best = null, bestD = Infinity;
+        for (const w of grid.bodies.near(x, y, r)) {
+          if (w.dying !== undefined) continue;
+          const reach = r + w.width / 2;
+          for (const s of w.segs) {
+            const d = (s.x - x) ** 2 + (s.y - y) ** 2;
+            if (d < reach * reach && d < bestD) { bestD = d; best = w; }
+          }
+        }
+        return best ? byId.get(best.id) || null : null;
+      },
+      colonyAt(x, y, r) {
+        let best = null, bestD = r * r;
+        for (const c of grid.colonies.near(x, y, r)) {
+          const d = (c.x - x) ** 2 + (c.y - y) ** 2;
+          if (d < bestD) { bestD = d; best = c; }
+        }
+        return best;
+      },
+      bosses() {
+        return state.colonies.filter((c) => c.boss).map((c) => ({ colony: c, worm: bossOf(c), tier: c.boss.tier }));
+      },
+    };
+  }
+
+  return {
+    createSim,
+    createRng,
+    createSpatialHash,
+    hashSeed,
+    randomSeed,
+    isValidState,
+    normalizeTrade,
+    tradesOf,
+    normalizeConfig,
+    DEFAULT_CONFIG,
+    CONFIG_FIELDS,
+    getPath,
+    setPath,
+    clamp,
+    lerp,
+    lerpAngle,
+    fmt,
+    STEP_DT,
+    MAX_COLONIES,
+    MC_STEP,
+    MAX_WORMS,
+    MAX_SEGS,
+    BOSS_MC,
+    BOSS_TIERS,
+  };
+});
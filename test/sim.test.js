@@ -0,0 +1,473 @@
+// Simulation rules, headless: node --test test/
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Sim = require("../sim.js");
+
+const { STEP_DT } = Sim;
+
+function record(sim) {
+  const events = [];
+  sim.on("event", (e) => events.push(e));
+  return events;
+}
+
+function run(sim, secs) {
+  for (let t = 0; t < secs; t += 0.25) sim.step(0.25);
+}
+
+test("the same seed and inputs give the same colony", () => {
+  const a = Sim.createSim({ seed: "DETERMINE" });
+  const b = Sim.createSim({ seed: "DETERMINE" });
+  const logA = record(a);
+  const logB = record(b);
+  for (const sim of [a, b]) {
+    run(sim, 5);
+    sim.actions.whaleBuy();
+    sim.applyTrade({ side: "buy", amount: 800, wallet: "w1" });
+    run(sim, 20);
+  }
+  assert.deepEqual(JSON.parse(JSON.stringify(a.serialize())), JSON.parse(JSON.stringify(b.serialize())));
+  assert.deepEqual(logA, logB);
+
+  const c = Sim.createSim({ seed: "SOMETHING ELSE" });
+  run(c, 5);
+  assert.notDeepEqual(c.state.colonies[0].worms.map((w) => w.id), a.state.colonies[0].worms.map((w) => w.id));
+});
+
+test("a colony splits off once mcap reaches the next step", () => {
+  const sim = Sim.createSim({ seed: "SPLIT", config: { mcStep: 10000, bossMc: 1e9 } });
+  const events = record(sim);
+
+  sim.state.mcap = 9999;
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 1);
+
+  sim.state.mcap = 10000;
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 2);
+  assert.equal(sim.state.nextSplitAt, 20000);
+  const split = events.find((e) => e.kind === "EVENT" && e.msg.startsWith("New colony"));
+  assert.ok(split);
+  assert.equal(split.colony, sim.state.colonies[1].id);
+  assert.equal(split.parent, sim.state.colonies[0].id);
+
+  // several steps at once split several times, up to maxColonies
+  sim.setConfig({ mcStep: 10000, bossMc: 1e9, maxColonies: 4 });
+  sim.state.mcap = 1e6;
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 4);
+});
+
+test("a boss emerges at bossMc and not before", () => {
+  const sim = Sim.createSim({ seed: "BOSS", config: { mcStep: 1e9, bossMc: 30000 } });
+  const events = record(sim);
+
+  sim.state.mcap = 29999;
+  run(sim, 1);
+  assert.equal(sim.bosses().length, 0);
+
+  sim.state.mcap = 30000;
+  sim.step(STEP_DT);
+  const [boss] = sim.bosses();
+  assert.ok(boss);
+  assert.equal(boss.tier, 0);
+  assert.ok(boss.worm.isBoss);
+  const emerged = events.find((e) => e.kind === "BOSS" && e.msg.includes("emerged"));
+  assert.equal(emerged.worm, boss.worm.id);
+  assert.equal(emerged.colony, sim.state.colonies[0].id);
+});
+
+test("mutations come on the timer and are counted per colony", () => {
+  const sim = Sim.createSim({ seed: "MUTATE" });
+  const events = record(sim);
+  run(sim, 60);
+
+  const mutations = events.filter((e) => e.kind === "MUTATION");
+  assert.ok(mutations.length > 5, `only ${mutations.length} mutations in 60s`);
+  for (const c of sim.state.colonies) {
+    assert.equal(c.mutations, mutations.filter((e) => e.colony === c.id).length);
+  }
+});
+
+test("a mutation lands in the worm's history; rare ones are prism shifts", () => {
+  const sim = Sim.createSim({ seed: "MANUAL" });
+  const events = record(sim);
+  for (let i = 0; i < 60; i++) {
+    sim.mutate();
+    const e = events[events.length - 1];
+    assert.equal(e.kind, "MUTATION");
+    const { w, c } = sim.findWorm(e.worm);
+    assert.equal(c.id, e.colony);
+    assert.ok(e.msg.includes(w.history[0].kind));
+    assert.equal(Boolean(e.rare), w.history[0].kind === "Prism shift");
+  }
+  const rare = events.filter((e) => e.rare).length;
+  assert.ok(rare > 0, "no rare mutation in 60 tries");
+  const lineage = sim.state.lineage.reduce((a, r) => a + r.rare, 0);
+  assert.equal(lineage, rare);
+});
+
+const living = (sim) => sim.state.colonies.reduce((n, c) => n + c.worms.filter((w) => w.dying === undefined).length, 0);
+
+function wormTarget(sim) {
+  const k = sim.config.worms;
+  return Sim.clamp(Math.floor(k.min + sim.growthScore() * k.perGrowth), k.min, k.max);
+}
+
+test("a colony below its split mcap withers, then collapses after WITHER_SECS", () => {
+  const sim = Sim.createSim({ seed: "WITHER", config: { mcStep: 10000, bossMc: 1e9 } });
+  const events = record(sim);
+  sim.state.mcap = 10000;
+  sim.step(STEP_DT);
+  const [, bud] = sim.state.colonies;
+  assert.equal(sim.state.nextSplitAt, 20000);
+
+  // a dip that recovers in time costs nothing
+  sim.state.mcap = 9000;
+  run(sim, 5);
+  assert.ok(bud.withering);
+  sim.state.mcap = 10000;
+  run(sim, 5);
+  assert.equal(bud.withering, false);
+  assert.equal(bud.health, 1);
+
+  sim.state.mcap = 9000;
+  run(sim, 19.5);
+  assert.equal(sim.state.colonies.length, 2);
+  run(sim, 1);
+  assert.equal(sim.state.colonies.length, 1);
+
+  const decline = events.filter((e) => e.kind === "DECLINE" && e.colony === bud.id).map((e) => e.msg);
+  assert.deepEqual(decline.map((m) => m.split(" ")[2]), ["withering", "withering", "collapsed"]);
+  assert.equal(decline[0], `Colony ${bud.id} withering below ${Sim.fmt(10000)} MC`);
+  assert.match(decline[2], /collapsed • \d+ worms? lost$/);
+
+  // the lost threshold has to be earned again
+  assert.equal(sim.state.nextSplitAt, bud.bornAt);
+  sim.state.mcap = 10000;
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 2);
+});
+
+test("worms over the growth target starve down to it", () => {
+  const sim = Sim.createSim({ seed: "STARVE", config: { mcStep: 1e9, bossMc: 1e9 } });
+  sim.state.mcap = 400000;
+  sim.state.volume = 200000;
+  run(sim, 60);
+  const grown = living(sim);
+  const events = record(sim);
+
+  sim.state.mcap = 0;
+  sim.state.volume = 0;
+  run(sim, 60);
+  const target = wormTarget(sim);
+  assert.ok(grown > target, `only ${grown} worms before the drop`);
+  // hunters may eat a few more, and the spawner is slow this low
+  assert.ok(living(sim) <= target);
+  assert.equal(sim.wormCount(), living(sim)); // the starved ones have faded out
+  const starved = events.filter((e) => e.msg.endsWith("starved")).length;
+  const eaten = events.filter((e) => e.kind === "HUNT" && e.msg.includes("caught")).length;
+  assert.ok(starved > 0);
+  assert.ok(starved + eaten >= grown - living(sim));
+});
+
+test("a boss retreats after BOSS_RETREAT_SECS under its threshold", () => {
+  const sim = Sim.createSim({ seed: "RETREAT", config: { mcStep: 1e9, bossMc: 30000 } });
+  const events = record(sim);
+  sim.state.mcap = 30000;
+  sim.step(STEP_DT);
+  const [{ worm }] = sim.bosses();
+
+  // a short dip resets the clock
+  sim.state.mcap = 29999;
+  run(sim, 5);
+  sim.state.mcap = 30000;
+  sim.step(STEP_DT);
+  sim.state.mcap = 29999;
+  run(sim, 5);
+  assert.equal(sim.bosses().length, 1);
+
+  run(sim, 1.25);
+  assert.equal(sim.bosses().length, 0);
+  assert.ok(worm.dying !== undefined);
+  const retreat = events.find((e) => e.kind === "BOSS" && e.msg.endsWith("retreated"));
+  assert.equal(retreat.worm, worm.id);
+  assert.equal(retreat.colony, sim.state.colonies[0].id);
+});
+
+test("a crash from 200K to 5K leaves the home colony and re-arms the first split", () => {
+  const sim = Sim.createSim({ seed: "CRASH", config: { mcStep: 10000 } });
+  sim.state.mcap = 200000;
+  run(sim, 10);
+  assert.equal(sim.state.colonies.length, sim.config.maxColonies);
+  assert.ok(sim.bosses().length > 0);
+
+  sim.state.mcap = 5000;
+  run(sim, 30);
+  assert.equal(sim.state.colonies.length, 1);
+  assert.equal(sim.state.nextSplitAt, 10000);
+  assert.equal(sim.bosses().length, 0);
+  assert.ok(sim.state.selected < sim.state.colonies.length);
+});
+
+test("every colony gets one boss of its own, evolving and retreating on its own threshold", () => {
+  const sim = Sim.createSim({ seed: "TIERS", config: { mcStep: 10000, bossMc: 30000, maxColonies: 3 } });
+  const events = record(sim);
+  sim.state.mcap = 20000;
+  sim.step(STEP_DT);
+  const colonies = [...sim.state.colonies];
+  assert.equal(colonies.length, 3);
+
+  // thresholds: home 30K, then bossMc over each bud's split mcap (40K, 50K); tiers at x3 and x8
+  const tiersAt = (mc) => [30000, 40000, 50000].map((th) => {
+    if (mc < th) return undefined;
+    return Sim.BOSS_TIERS.reduce((t, tier, i) => (mc >= th * tier.mult ? i : t), 0);
+  });
+  for (const mc of [29999, 30000, 40000, 50000, 90000, 120000, 150000, 240000, 320000, 400000]) {
+    sim.state.mcap = mc;
+    run(sim, 0.5);
+    for (const [i, c] of colonies.entries()) {
+      assert.ok(c.worms.filter((w) => w.isBoss && w.dying === undefined).length <= 1);
+      assert.equal(sim.bosses().find((b) => b.colony === c)?.tier, tiersAt(mc)[i], `Colony ${c.id} at ${mc}`);
+    }
+  }
+
+  const boss = events.filter((e) => e.kind === "BOSS").map((e) => e.msg);
+  const expected = colonies.flatMap((c) => [
+    `Boss worm emerged in Colony ${c.id}`,
+    `Colony ${c.id} boss evolved into ${Sim.BOSS_TIERS[1].name}`,
+    `Colony ${c.id} boss evolved into ${Sim.BOSS_TIERS[2].name}`,
+  ]);
+  assert.deepEqual([...boss].sort(), expected.sort());
+
+  // only the bud whose threshold is now out of reach loses its boss
+  sim.state.mcap = 45000;
+  run(sim, 7);
+  assert.deepEqual(sim.bosses().map((b) => b.colony), colonies.slice(0, 2));
+  const retreats = events.filter((e) => e.kind === "BOSS" && e.msg.endsWith("retreated"));
+  assert.deepEqual(retreats.map((e) => e.msg), [`${Sim.BOSS_TIERS[2].name} of Colony ${colonies[2].id} retreated`]);
+});
+
+test("hunters stalk and catch smaller worms, growing as they eat", () => {
+  const sim = Sim.createSim({ seed: "HUNT", config: { mcStep: 1e9, bossMc: 1e9 } });
+  const events = record(sim);
+  sim.on("event", (e) => {
+    if (e.kind === "HUNT" && e.msg.includes("is stalking")) assert.equal(sim.findWorm(e.hunter).w.prey, e.worm);
+  });
+  sim.state.mcap = 300000;
+  sim.state.volume = 150000;
+
+  let catches = 0;
+  for (let t = 0; t < 120 && catches < 3; t += STEP_DT) {
+    const sizes = new Map();
+    for (const c of sim.state.colonies) for (const w of c.worms) sizes.set(w.id, w.segs.length);
+    const seen = events.length;
+    sim.step(STEP_DT);
+    for (const e of events.slice(seen)) {
+      if (e.kind !== "HUNT" || !e.msg.includes("caught")) continue;
+      catches++;
+      assert.equal(sim.findWorm(e.worm), null);
+      const { w, c } = sim.findWorm(e.hunter);
+      assert.equal(c.id, e.colony);
+      assert.equal(w.segs.length, Math.min(sizes.get(e.hunter) + 2, Sim.MAX_SEGS));
+      assert.equal(w.prey, null);
+    }
+  }
+  assert.ok(events.some((e) => e.msg.includes("is stalking")));
+  assert.ok(catches > 0, "nothing caught in 120s");
+});
+
+test("a boss dash scatters nearby worms and reports it once, as a hunt", () => {
+  const sim = Sim.createSim({ seed: "SCATTER", config: { mcStep: 1e9, bossMc: 30000 } });
+  const events = record(sim);
+  sim.state.mcap = 300000;
+  sim.state.volume = 150000;
+  let kicked = 0;
+  for (let t = 0; t < 90; t += STEP_DT) {
+    sim.step(STEP_DT);
+    for (const c of sim.state.colonies) kicked = Math.max(kicked, c.worms.filter((w) => w.scatter > 0).length);
+  }
+
+  const [{ worm: boss }] = sim.bosses();
+  const dashes = events.filter((e) => e.kind === "DASH");
+  const scatters = events.filter((e) => e.msg.includes("scattered"));
+  assert.ok(dashes.length > 1);
+  assert.ok(scatters.length > 0, "no dash scattered anything in 90s");
+  assert.ok(kicked > 0);
+  // one headline per dash, so the page sounds it once
+  for (const e of dashes) assert.ok(e.tier !== undefined && e.msg.endsWith("CHARGE DASH"));
+  for (const e of scatters) {
+    assert.equal(e.kind, "HUNT");
+    assert.equal(e.worm, boss.id);
+    assert.match(e.msg, /scattered [1-9]\d* worms?$/);
+  }
+});
+
+test("a spatial hash query returns each item once, however many cells it spans", () => {
+  const hash = Sim.createSpatialHash(50);
+  const wide = { id: "wide" }, dot = { id: "dot" }, far = { id: "far" };
+  hash.insert(wide, -120, -120, 180, 90);
+  hash.insert(dot, 10, 10);
+  hash.insert(far, 1000, 1000);
+
+  assert.deepEqual(hash.query(-200, -200, 200, 200), [wide, dot]);
+  assert.deepEqual(hash.near(10, 10, 5), [wide, dot]);
+  assert.deepEqual(hash.near(1000, 1000, 5), [far]);
+
+  // results append to a given array, and repeated queries don't remember the last one
+  const out = [far];
+  assert.equal(hash.query(-200, -200, 200, 200, out), out);
+  assert.deepEqual(out, [far, wide, dot]);
+  assert.deepEqual(hash.query(-200, -200, 200, 200), [wide, dot]);
+
+  hash.clear();
+  assert.deepEqual(hash.query(-2000, -2000, 2000, 2000), []);
+  hash.insert(dot, 10, 10);
+  assert.deepEqual(hash.query(-2000, -2000, 2000, 2000), [dot]);
+});
+
+test("wormAt and colonyAt agree with a scan of every worm and colony", () => {
+  const sim = Sim.createSim({ seed: "PICK", config: { mcStep: 20000 } });
+  sim.state.mcap = 160000;
+  sim.state.volume = 80000;
+  run(sim, 30);
+
+  function wormAt(x, y, r) {
+    let best = null, bestD = Infinity;
+    for (const c of sim.state.colonies) {
+      for (const w of c.worms) {
+        if (w.dying !== undefined) continue;
+        const reach = r + w.width / 2;
+        for (const s of w.segs) {
+          const d = (s.x - x) ** 2 + (s.y - y) ** 2;
+          if (d < reach * reach && d < bestD) { bestD = d; best = w; }
+        }
+      }
+    }
+    return best;
+  }
+  function colonyAt(x, y, r) {
+    let best = null, bestD = r * r;
+    for (const c of sim.state.colonies) {
+      const d = (c.x - x) ** 2 + (c.y - y) ** 2;
+      if (d < bestD) { bestD = d; best = c; }
+    }
+    return best;
+  }
+
+  const rng = Sim.createRng("PICK POINTS");
+  const worms = sim.state.colonies.flatMap((c) => c.worms);
+  let hits = 0, homes = 0;
+  for (let i = 0; i < 400; i++) {
+    // half the points on a worm, half anywhere around the colonies
+    const seg = worms[Math.floor(rng() * worms.length)].segs[0];
+    const x = i % 2 ? seg.x + (rng() - 0.5) * 40 : (rng() - 0.5) * 3000;
+    const y = i % 2 ? seg.y + (rng() - 0.5) * 40 : (rng() - 0.5) * 3000;
+    const r = 4 + rng() * 30;
+
+    const w = wormAt(x, y, r);
+    assert.equal(sim.wormAt(x, y, r)?.w ?? null, w);
+    if (w) hits++;
+    const c = colonyAt(x, y, r * 10);
+    assert.equal(sim.colonyAt(x, y, r * 10), c);
+    if (c) homes++;
+  }
+  assert.ok(hits > 100, `only ${hits} points hit a worm`);
+  assert.ok(homes > 100, `only ${homes} points near a colony`);
+});
+
+test("normalizeConfig keeps good fields and puts bad ones back to their default", () => {
+  const D = Sim.DEFAULT_CONFIG;
+  const cases = [
+    // [key, value, expected, error or null]
+    ["mcStep", 5000, 5000, null],
+    ["mcStep", "7500", 7500, null],
+    ["mcStep", 0, D.mcStep, "must be within 1–"],
+    ["mcStep", -10, D.mcStep, "must be within 1–"],
+    ["mcStep", "lots", D.mcStep, "needs a number"],
+    ["mcStep", "", D.mcStep, "needs a number"],
+    ["mcStep", null, D.mcStep, "needs a number"],
+    ["mcStep", true, D.mcStep, "needs a number"],
+    ["mcStep", Infinity, D.mcStep, "needs a number"],
+    ["maxColonies", 32, 32, null],
+    ["maxColonies", 33, D.maxColonies, "must be within 1–32"],
+    ["maxColonies", 2.5, D.maxColonies, "must be a whole number"],
+    ["bossMc", 0, 0, null],
+    ["worms.max", 0, D.worms.max, "must be within"],
+    ["spawn.slowest", 0.01, D.spawn.slowest, "must be within 0.02–60"],
+    ["actions.sell.mcap", [100, 200], [100, 200], null],
+    ["actions.sell.mcap", ["100", "200"], [100, 200], null],
+    ["actions.sell.mcap", [5, 5], [5, 5], null],
+    ["actions.sell.mcap", [200, 100], D.actions.sell.mcap, "low is above high"],
+    ["actions.sell.mcap", [-1, 100], D.actions.sell.mcap, "must be within 0–"],
+    ["actions.sell.mcap", [1, "x"], D.actions.sell.mcap, "needs numbers"],
+    ["actions.sell.mcap", [1, null], D.actions.sell.mcap, "needs numbers"],
+    ["actions.sell.mcap", 100, D.actions.sell.mcap, "needs [low, high]"],
+    ["actions.sell.mcap", [1, 2, 3], D.actions.sell.mcap, "needs [low, high]"],
+    ["actions.smallBuy.buyers", [1, 2.5], D.actions.smallBuy.buyers, "must be whole numbers"],
+  ];
+  for (const [key, value, expected, error] of cases) {
+    const raw = {};
+    Sim.setPath(raw, key, value);
+    const { config, errors } = Sim.normalizeConfig(raw);
+    const label = `${key} = ${JSON.stringify(value)}`;
+    assert.deepEqual(Sim.getPath(config, key), expected, label);
+    if (error) {
+      assert.equal(errors.length, 1, label);
+      assert.ok(errors[0].startsWith(`${key}: ${error}`), `${label}: ${errors[0]}`);
+    } else {
+      assert.deepEqual(errors, [], label);
+    }
+    // one bad field never touches the rest
+    assert.equal(config.whaleUsd, D.whaleUsd);
+  }
+});
+
+test("normalizeConfig pulls crossed limits back into order", () => {
+  const worms = Sim.normalizeConfig({ worms: { min: 30, max: 10 } });
+  assert.deepEqual(worms.errors, ["worms.min: above worms.max"]);
+  assert.equal(worms.config.worms.max, 10);
+  assert.equal(worms.config.worms.min, Math.min(Sim.DEFAULT_CONFIG.worms.min, 10));
+
+  const spawn = Sim.normalizeConfig({ spawn: { slowest: 0.5, fastest: 2 } });
+  assert.deepEqual(spawn.errors, ["spawn.fastest: slower than spawn.slowest"]);
+  assert.equal(spawn.config.spawn.fastest, 0.5);
+
+  assert.deepEqual(Sim.normalizeConfig("fast").errors, ["config: must be an object"]);
+  assert.deepEqual(Sim.normalizeConfig(null), { config: Sim.DEFAULT_CONFIG, errors: [] });
+
+  // every field has its default within its own bounds
+  assert.deepEqual(Sim.normalizeConfig({}).errors, []);
+  for (const f of Sim.CONFIG_FIELDS) {
+    const v = Sim.getPath(Sim.DEFAULT_CONFIG, f.key);
+    for (const n of f.range ? v : [v]) assert.ok(n >= f.min && n <= f.max, f.key);
+  }
+});
+
+test("setConfig re-bases the next split on a new mcStep and reports bad fields", () => {
+  const sim = Sim.createSim({ seed: "CONFIG", config: { mcStep: 10000, bossMc: 1e9 } });
+  sim.state.mcap = 25000;
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 3);
+  assert.equal(sim.state.nextSplitAt, 30000);
+
+  // same step: the schedule stands
+  const errors = sim.setConfig({ mcStep: 10000, bossMc: 1e9, whaleUsd: -1 });
+  assert.equal(errors.length, 1);
+  assert.ok(errors[0].startsWith("whaleUsd: must be within 0–"));
+  assert.equal(sim.state.nextSplitAt, 30000);
+  assert.equal(sim.config.whaleUsd, Sim.DEFAULT_CONFIG.whaleUsd);
+
+  sim.setConfig({ mcStep: 5000, bossMc: 1e9 });
+  assert.equal(sim.state.nextSplitAt, 15000);
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 6); // 15K, 20K and 25K are now due
+  assert.equal(sim.state.nextSplitAt, 30000);
+
+  sim.setConfig({ mcStep: 50000, bossMc: 1e9 });
+  assert.equal(sim.state.nextSplitAt, 300000);
+  sim.step(STEP_DT);
+  assert.equal(sim.state.colonies.length, 6);
+});
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+// Offline trade feed for testing the live market sources. Node built-ins only.
+//
+//   node tools/mock-market.js [port] [TICKER,TICKER,…]
+//
+// Then open one of:
+//   http://localhost:8787/?feed=ws://localhost:8787/ws
+//   http://localhost:8787/?feed=/trades&poll=1500
+//
+// With tickers every trade names its token and each token keeps its own mcap;
+// add the same list to the page, e.g. &tokens=WORM,PEPE.
+//
+// The page itself is served from the repo root so there are no CORS hoops.
+// tools/embed-demo.html is served too, for trying the embed postMessage API.
+// Press Ctrl+C to stop.
+"use strict";
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PORT = Number(process.argv[2]) || 8787;
+const TICKERS = (process.argv[3] || "").split(",").map((t) => t.trim().toUpperCase()).filter(Boolean);
+const ROOT = path.resolve(__dirname, "..");
+const HISTORY_CAP = 500;
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+};
+
+// ---------- Fake market ----------
+const rand = (a, b) => a + Math.random() * (b - a);
+const trades = []; // {id, side, amount, wallet, mcap, ts, token?}
+const sockets = new Set();
+let nextId = 1;
+const mcaps = new Map((TICKERS.length ? TICKERS : [""]).map((t) => [t, 12000]));
+
+function wallet() {
+  // small pool so repeat buyers happen
+  return "W" + Math.floor(rand(0, 400)).toString(16).padStart(3, "0");
+}
+
+function makeTrade() {
+  const token = TICKERS.length ? TICKERS[Math.floor(rand(0, TICKERS.length))] : "";
+  const r = Math.random();
+  const side = r < 0.72 ? "buy" : "sell";
+  const amount = r < 0.04 ? rand(2500, 9000) : rand(40, 900);
+  const mcap = Math.max(0, mcaps.get(token) + (side === "buy" ? 1 : -1) * amount * 3.4);
+  mcaps.set(token, mcap);
+  const t = { id: nextId++, side, amount: Math.round(amount * 100) / 100, wallet: wallet(), mcap: Math.round(mcap), ts: Date.now() };
+  if (token) t.token = token;
+  return t;
+}
+
+function tick() {
+  const t = makeTrade();
+  trades.push(t);
+  if (trades.length > HISTORY_CAP) trades.shift();
+  for (const s of sockets) wsSend(s, JSON.stringify(t));
+  setTimeout(tick, rand(250, 1400));
+}
+
+// ---------- WebSocket (text frames only) ----------
+function wsSend(sock, text) {
+  const body = Buffer.from(text);
+  let head;
+  if (body.length < 126) {
+    head = Buffer.from([0x81, body.length]);
+  } else if (body.length < 65536) {
+    head = Buffer.alloc(4);
+    head[0] = 0x81; head[1] = 126;
+    head.writeUInt16BE(body.length, 2);
+  } else {
+    head = Buffer.alloc(10);
+    head[0] = 0x81; head[1] = 127;
+    head.writeBigUInt64BE(BigInt(body.length), 2);
+  }
+  sock.write(Buffer.concat([head, body]));
+}
+
+function wsUpgrade(req, sock) {
+  const key = req.headers["sec-websocket-key"];
+  if (!key || req.url !== "/ws") {
+    sock.destroy();
+    return;
+  }
+  const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+  sock.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+    "Upgrade: websocket\r\n" +
+    "Connection: Upgrade\r\n" +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  sockets.add(sock);
+
+  // the client never talks; a close frame (opcode 8) or a dropped socket ends it
+  sock.on("data", (buf) => { if ((buf[0] & 0x0f) === 0x8) sock.end(Buffer.from([0x88, 0])); });
+  sock.on("close", () => sockets.delete(sock));
+  sock.on("error", () => sockets.delete(sock));
+}
+
+// ---------- HTTP ----------
+function sendJson(res, data) {
+  res.writeHead(200, {
+    "Content-Type": TYPES[".json"],
+    "Cache-Control": "no-store",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(data));
+}
+
+function serveStatic(res, pathname) {
+  const file = path.join(ROOT, path.normalize(pathname === "/" ? "/index.html" : pathname));
+  if (!file.startsWith(ROOT + path.sep) || !TYPES[path.extname(file)]) {
+    res.writeHead(404);
+    res.end();
+    return;
+  }
+  fs.readFile(file, (err, buf) => {
+    if (err) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": TYPES[path.extname(file)] });
+    res.end(buf);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname === "/trades") {
+    // first poll only gets the cursor, later polls get everything after it
+    const since = Number(url.searchParams.get("since"));
+    const cursor = nextId - 1;
+    sendJson(res, { cursor, trades: Number.isFinite(since) && url.searchParams.has("since") ? trades.filter((t) => t.id > since) : [] });
+    return;
+  }
+  serveStatic(res, url.pathname);
+});
+
+server.on("upgrade", wsUpgrade);
+server.listen(PORT, () => {
+  console.log(`mock market on http://localhost:${PORT}`);
+  console.log(`  ws:   http://localhost:${PORT}/?feed=ws://localhost:${PORT}/ws`);
+  console.log(`  poll: http://localhost:${PORT}/?feed=/trades&poll=1500`);
+  tick();
+});
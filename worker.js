@@ -0,0 +1,182 @@
+// Worm Colony render worker: steps the sims and draws the scene into the page canvas
+// (handed over with transferControlToOffscreen), so DOM work on the page can't stall it.
+// The page sends the view, tap rings and sim commands; events and a light view of each
+// sim go back, and a full snapshot only when the page asks for one.
+"use strict";
+
+importScripts("sim.js", "render-gl.js", "render.js");
+
+const Sim = self.WormSim;
+const QUALITY = self.WormRender.QUALITY;
+const SNAPSHOT_MS = 100;
+// event kinds the page looks a colony up for, so the view is sent with them
+const FRESH_KINDS = new Set(["EVENT", "BOSS", "DASH"]);
+
+let canvas = null, ctx = null;
+let tokens = []; // { label, hue, sim }
+let size = { W: 1, H: 1, DPR: 1 };
+const view = { camX: 0, camY: 0, zoom: 1, isInteracting: false, reducedMotion: false, labelsOn: true, active: 0, webgl: true, quality: "high", backdrop: "full", watch: [] };
+const tapRings = [];
+const renderMs = { canvas: 0, webgl: 0 };
+const perf = { frameMs: 16.7, workMs: 0 }; // smoothed, for the page's quality governor
+let seq = 0; // last page command run
+let events = []; // [token, "event" | "cue", payload]
+const lineageSigs = []; // per token, so the lineage only goes over when it changed
+
+const scene = self.WormRender.createScene({
+  makeCanvas: () => new OffscreenCanvas(1, 1),
+  onContextLost() {
+    view.webgl = false;
+    self.postMessage({ type: "glLost" });
+  },
+});
+
+const nextFrame = typeof self.requestAnimationFrame === "function"
+  ? (fn) => self.requestAnimationFrame(fn)
+  : (fn) => setTimeout(() => fn(performance.now()), 16);
+
+// ---------- Setup ----------
+function init(msg) {
+  canvas = msg.canvas;
+  ctx = canvas.getContext("2d", { alpha: true, desynchronized: true });
+  tokens = msg.sims.map((t, i) => {
+    const sim = Sim.createSim({ seed: t.state.seed, origin: t.origin, hue: t.hue, config: t.config });
+    sim.load(t.state);
+    sim.on("event", (e) => events.push([i, "event", e]));
+    sim.on("cue", (c) => events.push([i, "cue", c]));
+    return { label: t.label, hue: t.hue, sim };
+  });
+  scene.initBackground(tokens[0].sim.seed);
+  resize(msg);
+  last = performance.now();
+  nextFrame(tick);
+}
+
+function resize({ W, H, DPR }) {
+  size = { W, H, DPR };
+  const pw = Math.floor(W * DPR);
+  const ph = Math.floor(H * DPR);
+  if (canvas && (canvas.width !== pw || canvas.height !== ph)) {
+    canvas.width = pw;
+    canvas.height = ph;
+  }
+}
+
+// ---------- Page commands ----------
+const calls = {
+  applyTrade: (sim, trade) => sim.applyTrade(trade),
+  action: (sim, name) => sim.actions[name]?.(),
+  setConfig: (sim, raw) => sim.setConfig(raw),
+  select: (sim, idx) => sim.select(idx),
+  reset: (sim, seed) => sim.reset(seed),
+  load: (sim, data) => sim.load(data),
+};
+
+function capture() {
+  if (!canvas) return;
+  canvas.convertToBlob({ type: "image/png" })
+    .then((blob) => self.postMessage({ type: "capture", blob }))
+    .catch(() => self.postMessage({ type: "capture", blob: null }));
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "init") init(msg);
+  else if (msg.type === "view") Object.assign(view, msg);
+  else if (msg.type === "resize") resize(msg);
+  else if (msg.type === "ring") tapRings.push({ x: msg.x, y: msg.y, r: 10, a: 0.9 });
+  else if (msg.type === "background") scene.initBackground(msg.seed);
+  else if (msg.type === "capture") capture();
+  else if (msg.type === "sync") self.postMessage({ type: "sync", seq, snaps: tokens.map(({ sim }) => ({ ...sim.serialize(), selected: sim.state.selected })) });
+  else if (msg.type === "call") {
+    seq = msg.seq;
+    const sim = tokens[msg.token]?.sim;
+    if (sim) calls[msg.method]?.(sim, ...msg.args);
+  }
+};
+
+// ---------- Loop ----------
+let last = 0;
+let renderAccum = 0;
+let lastSnap = -Infinity;
+
+function render(time, alpha) {
+  const started = performance.now();
+  const used = scene.draw(ctx, {
+    ...view, ...size, time, interp: alpha, tapRings,
+    tokens, multi: tokens.length > 1, active: tokens[view.active] || tokens[0],
+  });
+  const ms = performance.now() - started;
+  renderMs[used] = renderMs[used] ? Sim.lerp(renderMs[used], ms, 0.05) : ms;
+}
+
+// what the page mirrors every tick: economy, colonies without their worms, and the
+// heads it watches (bosses for the mini-map, the followed and inspected worms)
+function liteView({ sim }, i) {
+  const st = sim.state;
+  const heads = [];
+  const ids = new Set(view.watch);
+  for (const c of st.colonies) if (c.boss) ids.add(c.boss.worm);
+  for (const id of ids) {
+    const w = sim.findWorm(id)?.w;
+    if (w) heads.push([id, w.segs[0].x, w.segs[0].y]);
+  }
+
+  const out = {
+    economy: { buyers: st.buyers, volume: st.volume, mcap: st.mcap },
+    time: st.time,
+    nextSplitAt: st.nextSplitAt,
+    selected: st.selected,
+    worms: sim.wormCount(),
+    colonies: st.colonies.map((c) => ({
+      id: c.id, x: c.x, y: c.y, vx: c.vx, vy: c.vy,
+      withering: c.withering, health: c.health, mutations: c.mutations,
+      boss: c.boss && { worm: c.boss.worm, tier: c.boss.tier },
+    })),
+    heads,
+  };
+  const sig = `${st.lineage.length}:${st.lineage.reduce((a, r) => a + r.mutations, 0)}:${st.lineage.filter((r) => r.died !== null).length}`;
+  if (sig !== lineageSigs[i]) {
+    lineageSigs[i] = sig;
+    out.lineage = st.lineage;
+  }
+  return out;
+}
+
+function report(now) {
+  const fresh = events.some(([, type, p]) => type === "event" && FRESH_KINDS.has(p.kind));
+  const due = now - lastSnap >= SNAPSHOT_MS;
+  if (!events.length && !due) return;
+
+  const msg = { type: "tick", seq, events };
+  if (fresh || due) {
+    lastSnap = now;
+    msg.views = tokens.map(liteView);
+    msg.renderMs = renderMs;
+    msg.perf = perf;
+  }
+  self.postMessage(msg);
+  events = [];
+}
+
+function tick(now) {
+  const dt = Math.min((now - last) / 1000, 0.25);
+  last = now;
+  const started = performance.now();
+
+  let alpha = 1;
+  for (const t of tokens) alpha = t.sim.step(dt);
+
+  renderAccum += dt;
+  if (renderAccum >= 1 / (QUALITY[view.quality] || QUALITY.high).fps) {
+    renderAccum = 0;
+    render(now, alpha);
+  }
+  perf.frameMs = Sim.lerp(perf.frameMs, dt * 1000, 0.05);
+  perf.workMs = Sim.lerp(perf.workMs, performance.now() - started, 0.05);
+  report(now);
+
+  nextFrame(tick);
+}
+
+self.postMessage({ type: "hello", gl: Boolean(scene.getGL()) });